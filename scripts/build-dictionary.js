@@ -3,8 +3,21 @@
 const fs = require('fs').promises;
 const path = require('path');
 const csv = require('csv-parser');
-const natural = require('natural');
 const NordumVersionManager = require('./version-manager');
+const ConceptAligner = require('./concept-aligner');
+const CognateClusterer = require('./cognate-clusterer');
+const SpecValidator = require('./spec-validator');
+const CompoundAnalyzer = require('./compound-analyzer');
+const CorrespondenceMiner = require('./correspondence-miner');
+const ToponymBuilder = require('./toponym-builder');
+const GenderResolver = require('./gender-resolver');
+const QualityScorer = require('./quality-scorer');
+const ReviewQueue = require('./review-queue');
+const NordumConverter = require('../src/js/nordum/converter');
+const NordumG2P = require('../src/js/nordum/phonology');
+const NordumDerivation = require('../src/js/nordum/derivation');
+const NordumMultiwordVerbs = require('../src/js/nordum/multiword-verbs');
+const PhonologicalDistance = require('../src/js/nordum/phonological-distance');
 
 class DictionaryBuilder {
     constructor() {
@@ -16,61 +29,111 @@ class DictionaryBuilder {
         // Initialize version manager
         this.versionManager = new NordumVersionManager();
 
-        // Linguistic rules from specification
-        // Selection methodology - Balanced approach with alternative spellings
-        this.orthographicRules = {
-            // Primary vowel system: Norwegian/Danish æ/ø
-            // Alternative spellings: Swedish/German ä/ö (both accepted)
-            'æ': 'æ',      // Primary: Danish/Norwegian æ
-            'ø': 'ø',      // Primary: Danish/Norwegian ø
-            'ä': 'æ',      // Convert Swedish ä to primary æ (but ä remains valid alternative)
-            'ö': 'ø',      // Convert Swedish ö to primary ø (but ö remains valid alternative)
-
-            // Sound pattern transformations
-            'ej': 'ei',    // Danish ej -> ei (systematic sound pattern)
-            'øj': 'øy',    // Danish øj -> øy (if applicable)
-            'aj': 'ai',    // Danish aj -> ai (systematic pattern)
-
-            // Silent letter removal
-            'dt$': 't',    // width -> vidt -> vid
-            'ld$': 'l',    // world -> värld -> värl (when applicable)
-
-            // Consonant standardization
-            'ck': 'k',     // back -> bak
-            'ph': 'f',     // phone -> fon
-            'kj': 'kj',    // Keep Scandinavian kj sound
-            'skj': 'skj',  // Keep Scandinavian skj sound
-
-            // Question word transformation (Swedish v- pattern, no silent H)
-            '^hv': 'v',    // hvad -> vad, hvor -> var, etc.
-
-            // Regular endings
-            'tion$': 'tion', // Keep international endings
-            'sion$': 'sion'
-        };
+        // Groups source words into concepts across languages
+        this.conceptAligner = new ConceptAligner({ languages: this.sourceLanguages });
+
+        // Shared Nordum conversion rules (also used by the web tools)
+        this.converter = new NordumConverter();
+        this.rules = this.converter.rules;
+        this.loanwords = this.converter.loanwords;
+        this.englishLoanwords = this.converter.englishLoanwords;
+        this.numerals = this.converter.numerals;
+        this.norwegianNumbers = this.converter.norwegianNumbers;
+
+        // Sound-aware edit distance for cognate scoring, learned from the aligned concepts
+        this.phonologicalDistance = new PhonologicalDistance();
+        this.soundCorrespondences = null;
+        this.cognateClusterer = new CognateClusterer({
+            languages: this.sourceLanguages,
+            normalize: word => this.normalizeForComparison(word),
+            distance: this.phonologicalDistance
+        });
+        this.correspondenceMiner = new CorrespondenceMiner({
+            languages: this.sourceLanguages,
+            distance: this.phonologicalDistance
+        });
+
+        // Pronunciation of headwords and inflected forms (spec §3.2–3.4)
+        this.g2p = new NordumG2P();
+
+        // Rebuilds compounds from the Nordum forms of their parts
+        this.compoundAnalyzer = new CompoundAnalyzer({
+            languages: this.sourceLanguages,
+            normalize: word => this.normalizeForComparison(word),
+            loanwords: this.englishLoanwords,
+            distance: this.phonologicalDistance
+        });
+
+        // Productive derivational affixes (-het, -ning, -lig, u-) linking derived words to their bases
+        this.derivation = new NordumDerivation();
 
-        // English loanwords to preserve unchanged
-        this.englishLoanwords = new Set([
-            'computer', 'internet', 'email', 'software', 'website', 'app', 'smartphone',
-            'online', 'download', 'upload', 'login', 'password', 'browser', 'server',
-            'database', 'backup', 'cloud', 'streaming', 'podcast', 'blog', 'chat',
-            'social', 'media', 'digital', 'technology', 'system', 'network', 'platform'
-        ]);
+        // Reflexive and particle verbs (vaske sei, ta opp), where only the verb inflects
+        this.multiwordVerbs = new NordumMultiwordVerbs();
 
-        // Norwegian number system (preferred)
-        this.norwegianNumbers = new Map([
-            ['femti', 'fifty'], ['seksti', 'sixty'], ['sytti', 'seventy'], ['åtti', 'eighty'], ['nitti', 'ninety'],
-            ['tjue', 'twenty'], ['trettio', 'thirty'], ['førti', 'forty'], ['hundre', 'hundred'], ['tusen', 'thousand']
-        ]);
+        // Noun gender by suffix, source votes, semantics and compound heads (spec §4.3.3)
+        this.genderResolver = new GenderResolver({
+            languages: this.sourceLanguages,
+            normalizeGender: gender => this.normalizeGender(gender)
+        });
+
+        // Part of speech, headword and gender decisions taken by a narrow margin
+        this.reviewQueue = new ReviewQueue({ languages: this.sourceLanguages });
+
+        // Geographic names with the endonym policy of §5.5
+        this.toponymBuilder = new ToponymBuilder({
+            inflect: (word, pos, gender) => this.generateInflections(word, pos, gender)
+        });
+
+        // Checks exported entries against the specification invariants
+        this.specValidator = new SpecValidator({
+            loanwords: this.englishLoanwords,
+            isIrregular: (word, pos) => Boolean((this.paradigms[`${pos}s`] || {})[word])
+        });
+
+        // Intelligibility, regularity, utility and balance of each sense (spec §5.4)
+        this.qualityScorer = new QualityScorer({
+            languages: this.sourceLanguages,
+            normalize: word => this.normalizeForComparison(word),
+            similarity: (a, b) => this.phonologicalDistance.similarity(a, b),
+            spellingScore: word => this.calculateRegularityScore(word),
+            isIrregular: (word, pos) => Boolean((this.paradigms[`${pos}s`] || {})[word])
+        });
+
+        // K/J/G and ks/x spelling rules (spec §3.3.3)
+        this.spellingRules = {
+            kToG: { rule: 1, reference: 'danish', description: 'Norwegian k / Danish g → g' },
+            hardK: { rule: 1, reference: 'norwegian', description: 'Norwegian k / Danish g without a [j]-sound → k' },
+            gjToG: { rule: 2, reference: 'danish', description: 'Norwegian gj / Danish g → g' },
+            xToKs: { rule: 3, reference: 'native', description: 'Swedish x / Norwegian-Danish ks → ks' },
+            kjToK: { rule: 4, reference: 'danish', description: 'Norwegian kj / Danish k → k' }
+        };
 
         this.cognateData = new Map();
         this.nordumDictionary = new Map();
         this.inflectionRules = new Map();
+        this.paradigms = { nouns: {}, verbs: {}, adjectives: {} };
+        this.overrides = [];
+        this.overridesVersion = null;
+        this.usedOverrides = new Set();
+        this.closedClass = [];
+        this.closedClassVersion = null;
+        this.multiwordVerbList = [];
+        this.multiwordVerbsVersion = null;
+        this.phrases = [];
+        this.phrasesVersion = null;
     }
 
     async init() {
         await this.ensureDirectories();
         await this.loadInflectionRules();
+        await this.loadOverrides();
+        await this.loadClosedClass();
+        await this.loadMultiwordVerbs();
+        await this.loadPhrases();
+        await this.toponymBuilder.init();
+        await this.genderResolver.init();
+        await this.conceptAligner.init();
+        await this.specValidator.init();
         await this.versionManager.init();
     }
 
@@ -104,14 +167,91 @@ class DictionaryBuilder {
         });
 
         this.inflectionRules.set('verb', {
-            infinitive: '-a',
             present: '-er',     // ALWAYS -er for verbs (never -ar)
             past: '-ede',       // -ede for past tense (distinct from adjectives)
+            informalPast: '-a', // Optional secondary past (§4.2.2)
             supine: '-et',      // -et for supine (neuter-like ending)
             pastParticiple: '-et',  // -et for past participle (matches supine ending)
             presentParticiple: '-ende', // -ende for present participle (distinct from other forms)
             imperative: ''      // Bare stem for imperative
         });
+
+        // Irregular paradigms that override the regular endings
+        const paradigmPath = path.join(this.dataDir, 'rules', 'paradigms.json');
+        try {
+            this.paradigms = JSON.parse(await fs.readFile(paradigmPath, 'utf8'));
+        } catch (error) {
+            console.warn(`Could not load irregular paradigms: ${error.message}`);
+        }
+    }
+
+    // Curated overrides that pin forms after automatic selection
+    async loadOverrides() {
+        const overridesPath = path.join(this.dictionaryDir, 'overrides.json');
+        try {
+            const data = JSON.parse(await fs.readFile(overridesPath, 'utf8'));
+            this.overrides = data.overrides || [];
+            this.overridesVersion = data.version || null;
+        } catch (error) {
+            console.warn(`Could not load overrides: ${error.message}`);
+        }
+    }
+
+    async loadClosedClass() {
+        const closedClassPath = path.join(this.dictionaryDir, 'closed-class.json');
+        try {
+            const data = JSON.parse(await fs.readFile(closedClassPath, 'utf8'));
+            this.closedClass = data.entries || [];
+            this.closedClassVersion = data.version || null;
+        } catch (error) {
+            console.warn(`Could not load closed-class lexicon: ${error.message}`);
+        }
+    }
+
+    async loadMultiwordVerbs() {
+        const multiwordVerbsPath = path.join(this.dictionaryDir, 'multiword-verbs.json');
+        try {
+            const data = JSON.parse(await fs.readFile(multiwordVerbsPath, 'utf8'));
+            this.multiwordVerbList = data.entries || [];
+            this.multiwordVerbsVersion = data.version || null;
+        } catch (error) {
+            console.warn(`Could not load multiword verbs: ${error.message}`);
+        }
+    }
+
+    async loadPhrases() {
+        const phrasesPath = path.join(this.dictionaryDir, 'phrases.json');
+        try {
+            const data = JSON.parse(await fs.readFile(phrasesPath, 'utf8'));
+            this.phrases = data.entries || [];
+            this.phrasesVersion = data.version || null;
+        } catch (error) {
+            console.warn(`Could not load phrase lexicon: ${error.message}`);
+        }
+    }
+
+    // Find the first override matching a concept, its selected POS or the generated headword
+    findOverride(english, pos, nordumForm) {
+        const override = this.overrides.find(({ match = {} }) =>
+            (match.concept || match.headword) &&
+            (!match.concept || match.concept === english) &&
+            (!match.pos || match.pos === pos) &&
+            (!match.headword || match.headword === nordumForm)
+        );
+
+        if (override) {
+            this.usedOverrides.add(override.id);
+        }
+        return override || null;
+    }
+
+    // Overrides that matched nothing have usually been outlived by source data changes
+    warnUnusedOverrides() {
+        for (const override of this.overrides) {
+            if (!this.usedOverrides.has(override.id)) {
+                console.warn(`⚠️  Override ${override.id} no longer matches any concept: ${JSON.stringify(override.match)}`);
+            }
+        }
     }
 
     // Cognate analysis methods
@@ -121,12 +261,10 @@ class DictionaryBuilder {
         const distances = [];
         for (let i = 0; i < words.length; i++) {
             for (let j = i + 1; j < words.length; j++) {
-                const distance = natural.LevenshteinDistance(
+                distances.push(this.phonologicalDistance.similarity(
                     this.normalizeForComparison(words[i]),
                     this.normalizeForComparison(words[j])
-                );
-                const maxLen = Math.max(words[i].length, words[j].length);
-                distances.push(1 - (distance / maxLen));
+                ));
             }
         }
 
@@ -153,28 +291,23 @@ class DictionaryBuilder {
             nordumWord = nordumWord.replace(/æ/g, 'ä').replace(/ø/g, 'ö');
         }
 
-        // Apply systematic rules
-        for (const [pattern, replacement] of Object.entries(this.orthographicRules)) {
-            if (pattern.endsWith('$')) {
-                // End-of-word pattern
-                const regex = new RegExp(pattern);
-                nordumWord = nordumWord.replace(regex, replacement);
-            } else {
-                // General pattern
-                nordumWord = nordumWord.replace(new RegExp(pattern, 'g'), replacement);
-            }
-        }
-
-        return nordumWord;
+        // Apply systematic rules from data/rules/nordum-rules.json
+        return this.rules.apply(nordumWord);
     }
 
     // Select best Nordum form from cognate set - prioritizing Bokmål/Danish
     selectNordumForm(cognateSet, english) {
         if (!cognateSet || typeof cognateSet !== 'object') return null;
 
-        // Check for English loanwords first
-        if (english && this.englishLoanwords.has(english.toLowerCase())) {
-            return english.toLowerCase();
+        // English loanwords are kept, adapted (-tion → -sjon) or give way to the native words (§2.2)
+        const loan = this.loanwords.assess(cognateSet, english);
+        if (loan && loan.form) {
+            return loan.form;
+        }
+        if (loan && loan.decision === 'replace') {
+            cognateSet = Object.fromEntries(
+                Object.entries(cognateSet).filter(([language]) => !loan.languages.includes(language))
+            );
         }
 
         // Check for Norwegian numbers
@@ -185,9 +318,62 @@ class DictionaryBuilder {
         }
 
         // Priority system: Bokmål/Danish > Swedish
-        let selectedWord = null;
-        let selectedSource = null;
-        let maxScore = -1;
+        const [best] = this.rankNordumSources(cognateSet);
+        if (!best) return null;
+
+        let selectedWord = best.word;
+        let selectedSource = best.language;
+
+        // Apply K/J/G and ks/x spelling rules (spec §3.3.3)
+        const spellingRules = this.findSpellingRules(cognateSet);
+        if (spellingRules.some(rule => rule.reference === 'danish')) {
+            // The morpheme takes its Danish spelling; a Nordum derivational suffix is kept (kjærlighet → kærlighet)
+            selectedWord = this.applySpellingRules(cognateSet.norwegian.word, cognateSet.danish.word);
+            selectedSource = 'norwegian';
+        } else if (spellingRules.includes(this.spellingRules.hardK)) {
+            // Rule 1 asks for g only where Danish has a [j]-sound, so bok/bog keeps the k
+            selectedWord = cognateSet.norwegian.word;
+            selectedSource = 'norwegian';
+        }
+        if (spellingRules.includes(this.spellingRules.xToKs)) {
+            selectedWord = selectedWord.replace(/x/g, 'ks');
+        }
+
+        // Apply Nordum-specific transformations
+        const pos = this.selectBestPOS(
+            Object.values(cognateSet).map(w => w.pos).filter(Boolean), cognateSet
+        );
+
+        // Reflexive and particle verbs respell the verb and take the Nordum reflexive and particle (tage op → ta opp)
+        if (pos === 'verb' && /\s/.test(selectedWord)) {
+            const multiword = this.selectMultiwordVerbForm(selectedWord, selectedSource, english);
+            if (multiword) return multiword;
+        }
+
+        return this.applyNordumRules(selectedWord, selectedSource, english, pos);
+    }
+
+    selectMultiwordVerbForm(phrase, sourceLanguage, english) {
+        const structure = this.multiwordVerbs.parse(phrase, sourceLanguage);
+        if (!structure) return null;
+
+        const verb = this.applyNordumRules(structure.verb, sourceLanguage, english, 'verb');
+        return [verb, structure.reflexive && this.multiwordVerbs.reflexive.nordum, structure.particle]
+            .filter(Boolean).join(' ');
+    }
+
+    // Verb, reflexive and particle of a multiword verb headword, or null
+    describeMultiwordVerb(nordumForm) {
+        const structure = this.multiwordVerbs.parse(nordumForm);
+        if (!structure) return null;
+
+        const { type, verb, reflexive, particle } = structure;
+        return { type, verb, ...(reflexive && { reflexive: this.multiwordVerbs.reflexive.nordum }), ...(particle && { particle }) };
+    }
+
+    // Source words scored for the headword, best first; ties keep source order
+    rankNordumSources(cognateSet) {
+        const ranked = [];
 
         for (const [language, wordObj] of Object.entries(cognateSet)) {
             if (!wordObj || !wordObj.word) continue;
@@ -206,76 +392,167 @@ class DictionaryBuilder {
             // Bonus for regularity
             score += this.calculateRegularityScore(wordObj.word);
 
-            if (score > maxScore) {
-                maxScore = score;
-                selectedWord = wordObj.word;
-                selectedSource = language;
-            }
+            ranked.push({ language, word: wordObj.word, score });
         }
 
-        if (!selectedWord) return null;
+        return ranked.sort((a, b) => b.score - a.score);
+    }
 
-        // Apply Nordum-specific transformations
-        const pos = this.selectBestPOS(
-            Object.values(cognateSet).map(w => w.pos).filter(Boolean), cognateSet
-        );
+    // Queue the part of speech, headword and gender of a concept when they were decided by a narrow margin.
+    // Forms set by a rule (loanwords, numbers, §3.3.3 spellings, compounds built from their parts) and
+    // decisions an override pins are left out.
+    queueCloseDecisions(selection, pos, flaggedGenders, override) {
+        const { english, translations, nordumForm, compound } = selection;
 
-        return this.applyNordumRules(selectedWord, selectedSource, english, pos);
+        if (!override || !override.pos) {
+            this.reviewQueue.reviewPOS(nordumForm, english, pos, this.rankPOS(translations), translations);
+        }
+
+        // Replaced loans compete only among the native words, as in selectNordumForm
+        const loan = this.loanwords.assess(translations, english);
+        const candidates = loan && loan.decision === 'replace'
+            ? Object.fromEntries(Object.entries(translations).filter(([language]) => !loan.languages.includes(language)))
+            : translations;
+        const decidedByRule = (loan && loan.form) || compound ||
+            [...this.norwegianNumbers.values()].includes((english || '').toLowerCase()) ||
+            this.findSpellingRules(candidates).some(rule => rule.reference === 'danish' || rule.reference === 'norwegian');
+        if (!decidedByRule && (!override || !override.nordum)) {
+            this.reviewQueue.reviewForm(nordumForm, english, pos, this.rankNordumSources(candidates), translations);
+        }
+
+        if (!override || override.gender === undefined) {
+            flaggedGenders.forEach(flagged => this.reviewQueue.reviewGender(flagged, translations));
+        }
     }
 
-    // Apply Nordum-specific rules
-    applyNordumRules(word, sourceLanguage, english, pos) {
-        let nordumWord = word.toLowerCase();
+    // Detect spec §3.3.3 consonant correspondences between the source forms
+    findSpellingRules(cognateSet) {
+        const rules = [];
+        const norwegian = cognateSet.norwegian?.word?.toLowerCase();
+        const danish = cognateSet.danish?.word?.toLowerCase();
+        const swedish = cognateSet.swedish?.word?.toLowerCase();
 
-        // 1. English loanwords stay unchanged
-        if (english && this.englishLoanwords.has(english.toLowerCase())) {
-            return english.toLowerCase();
+        // Rules 1, 2 and 4 compare the Norwegian and Danish morphemes
+        if (norwegian && danish && this.calculateCognateScore([norwegian, danish]) >= 0.5) {
+            const alignment = this.alignWords(norwegian, danish);
+
+            alignment.forEach((pair, i) => {
+                const rule = this.matchSpellingRule(alignment, i);
+                if (rule) rules.push(rule);
+            });
         }
 
-        // 2. Norwegian number system
-        for (const [norNum, engNum] of this.norwegianNumbers.entries()) {
-            if (english && english.toLowerCase() === engNum) {
-                return norNum;
+        // Rule 3 compares Swedish x with Norwegian/Danish ks
+        if (swedish && swedish.includes('x')) {
+            const native = [norwegian, danish].filter(word => word && word.includes('ks'));
+            if (native.some(word => this.calculateCognateScore([swedish.replace(/x/g, 'ks'), word]) >= 0.75)) {
+                rules.push(this.spellingRules.xToKs);
+            }
+        }
+
+        return [...new Set(rules)];
+    }
+
+    // The rule 1, 2 or 4 correspondence at position i of a Norwegian/Danish alignment, or null
+    matchSpellingRule(alignment, i) {
+        const pair = alignment[i];
+        const next = alignment[i + 1];
+        const previous = alignment[i - 1];
+        const droppedJ = next && next.a === 'j' && next.b === null;
+
+        // Danish g is a [j]-sound only after a front vowel shared with Norwegian (søge, tag; Danish a is [æ])
+        // and before a vowel or word-finally. After o, u and å it is [w] (bog, uge), so bok and uke keep k.
+        const followingDanish = alignment.slice(i + 1).find(p => p.b !== null);
+        const frontVowel = previous && previous.a === previous.b && /[aeiyæø]/.test(previous.a);
+        const softG = frontVowel && (!followingDanish || /[aeiouyæøå]/.test(followingDanish.b));
+
+        if (pair.a === 'k' && pair.b === 'g') {
+            return softG ? this.spellingRules.kToG : this.spellingRules.hardK;
+        }
+        if (pair.a === 'g' && pair.b === 'g' && droppedJ) {
+            return this.spellingRules.gjToG;
+        }
+        if (pair.a === 'k' && pair.b === 'k' && droppedJ && previous?.a !== 's') {
+            // skj is [ʃ], not [ç]
+            return this.spellingRules.kjToK;
+        }
+        return null;
+    }
+
+    // Spell the morpheme as Danish does, as in the rule 1, 2 and 4 examples (søke → søge, gjest → gæst,
+    // kjøpe → købe). A derivational suffix keeps its Nordum spelling (kjærlighet → kærlighet, not -hed).
+    applySpellingRules(norwegian, danish) {
+        const suffix = this.derivation.suffixes.find(({ suffix }) =>
+            norwegian.endsWith(suffix) && !danish.endsWith(suffix) && norwegian.length > suffix.length + 2);
+        if (!suffix) return danish;
+
+        const stemLength = norwegian.length - suffix.suffix.length;
+        const alignment = this.alignWords(norwegian, danish);
+        let word = '';
+        let position = 0;
+
+        for (const pair of alignment) {
+            if (position >= stemLength) break;
+            word += pair.b || '';
+            if (pair.a !== null) position++;
+        }
+
+        return word + suffix.suffix;
+    }
+
+    // Align two words character by character (Levenshtein backtrace)
+    alignWords(first, second) {
+        const a = this.normalizeForAlignment(first);
+        const b = this.normalizeForAlignment(second);
+        const matrix = Array.from({ length: a.length + 1 }, (_, i) =>
+            Array.from({ length: b.length + 1 }, (_, j) => (i === 0 ? j : (j === 0 ? i : 0)))
+        );
+
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                matrix[i][j] = Math.min(
+                    matrix[i - 1][j] + 1,
+                    matrix[i][j - 1] + 1,
+                    matrix[i - 1][j - 1] + cost
+                );
             }
         }
 
-        // 3. Question words: hv -> v (Swedish pattern) with alternative spellings
-        if (word.startsWith('hv')) {
-            // Specific transformations based on the word
-            if (word === 'hva' || word === 'hvad') return 'vad';
-            if (word === 'hvor') return 'var';
-            if (word === 'hvem') return 'vem';
-            if (word === 'hvorfor') return 'varför';
-            if (word === 'hvilken') return 'vilken';
-            if (word === 'hvornår') return 'ven';
-
-            // General hv -> v transformation for other cases
-            nordumWord = nordumWord.replace(/^hv/, 'v');
-        }
-
-        // 4. Apply systematic morphological rules
-        nordumWord = this.applyMorphologicalTransformation(nordumWord, pos);
-
-        // 5. Apply systematic sound pattern transformations
-        nordumWord = this.applySoundPatterns(nordumWord);
-
-        // 6. Apply other orthographic rules
-        for (const [pattern, replacement] of Object.entries(this.orthographicRules)) {
-            if (pattern.startsWith('^')) {
-                // Start-of-word pattern
-                const regex = new RegExp(pattern);
-                nordumWord = nordumWord.replace(regex, replacement);
-            } else if (pattern.endsWith('$')) {
-                // End-of-word pattern
-                const regex = new RegExp(pattern);
-                nordumWord = nordumWord.replace(regex, replacement);
-            } else if (!['ej', 'øj', 'aj'].includes(pattern)) {
-                // General pattern (skip sound patterns, handled separately)
-                nordumWord = nordumWord.replace(new RegExp(pattern, 'g'), replacement);
+        // Walk back from the bottom-right corner, preferring matches/substitutions
+        const pairs = [];
+        let i = a.length;
+        let j = b.length;
+
+        while (i > 0 || j > 0) {
+            const cost = i > 0 && j > 0 && a[i - 1] === b[j - 1] ? 0 : 1;
+
+            if (i > 0 && j > 0 && matrix[i][j] === matrix[i - 1][j - 1] + cost) {
+                pairs.unshift({ a: a[i - 1], b: b[j - 1] });
+                i--;
+                j--;
+            } else if (i > 0 && matrix[i][j] === matrix[i - 1][j] + 1) {
+                pairs.unshift({ a: a[i - 1], b: null });
+                i--;
+            } else {
+                pairs.unshift({ a: null, b: b[j - 1] });
+                j--;
             }
         }
 
-        return nordumWord;
+        return pairs;
+    }
+
+    // Character-for-character normalization so alignment positions stay valid
+    normalizeForAlignment(word) {
+        return word.toLowerCase()
+            .replace(/ä/g, 'æ')
+            .replace(/ö/g, 'ø');
+    }
+
+    // Apply Nordum-specific rules
+    applyNordumRules(word, sourceLanguage, english, pos) {
+        return this.converter.convertWord(word, sourceLanguage, english, pos);
     }
 
     calculateRegularityScore(word) {
@@ -294,6 +571,15 @@ class DictionaryBuilder {
         return Math.max(0, score);
     }
 
+    // Attach an inflection ending, dropping a stem-final -e before a vowel ending
+    addSuffix(stem, suffix) {
+        const ending = suffix.replace(/^-/, '');
+        if (stem.endsWith('e') && /^[ae]/.test(ending)) {
+            return stem.slice(0, -1) + ending;
+        }
+        return stem + ending;
+    }
+
     // Generate inflected forms
     generateInflections(baseForm, partOfSpeech, gender = null) {
         const rules = this.inflectionRules.get(partOfSpeech);
@@ -306,37 +592,84 @@ class DictionaryBuilder {
                 const nounRules = gender === 'neuter' ? rules.neuter : rules.common;
                 inflections.singular = {
                     indefinite: baseForm,
-                    definite: baseForm + nounRules.singular.definite
+                    definite: this.addSuffix(baseForm, nounRules.singular.definite)
                 };
                 inflections.plural = {
-                    indefinite: baseForm + nounRules.plural.indefinite,  // Always -ar for noun plurals
-                    definite: baseForm + nounRules.plural.definite       // Always -arna for definite plurals
+                    indefinite: this.addSuffix(baseForm, nounRules.plural.indefinite),  // -ar unless irregular
+                    definite: this.addSuffix(baseForm, nounRules.plural.definite)       // -arna unless irregular
                 };
                 break;
 
             case 'adjective':
                 inflections.positive = {
                     common: baseForm,
-                    neuter: baseForm + rules.positive.neuter,
-                    plural: baseForm + rules.positive.plural,
-                    definite: baseForm + rules.positive.definite
+                    neuter: this.addSuffix(baseForm, rules.positive.neuter),
+                    plural: this.addSuffix(baseForm, rules.positive.plural),
+                    definite: this.addSuffix(baseForm, rules.positive.definite)
                 };
-                inflections.comparative = baseForm + rules.comparative;
-                inflections.superlative = baseForm + rules.superlative;
+                inflections.comparative = this.addSuffix(baseForm, rules.comparative);
+                inflections.superlative = this.addSuffix(baseForm, rules.superlative);
                 break;
 
             case 'verb':
-                const stem = baseForm.replace(/a$/, ''); // Remove infinitive ending
-                inflections.infinitive = stem + rules.infinitive;
-                inflections.present = stem + rules.present;  // Now uses -er ending
-                inflections.past = stem + rules.past;
-                inflections.supine = stem + rules.supine;
-                inflections.pastParticiple = stem + rules.pastParticiple;
-                inflections.presentParticiple = stem + rules.presentParticiple;
+                // Only the verb of a reflexive or particle verb inflects (tar opp, satte sei)
+                const multiword = /\s/.test(baseForm) && this.multiwordVerbs.parse(baseForm);
+                if (multiword) {
+                    return this.multiwordVerbs.inflect(multiword, this.generateInflections(multiword.verb, 'verb'));
+                }
+
+                // Unstressed infinitive -e/-a drops from the stem (arbeide → arbeid); gå, se keep theirs
+                const stem = /[^aeiouyæøåäö][ae]$/.test(baseForm) && baseForm.length > 2
+                    ? baseForm.slice(0, -1)
+                    : baseForm;
+                const vowelStem = /[aeiouyæøåäö]$/.test(stem);
+                inflections.infinitive = baseForm;
+                inflections.present = vowelStem ? stem + 'r' : this.addSuffix(stem, rules.present);  // -er, or -r after a vowel (bor, tror)
+                inflections.past = this.addSuffix(stem, rules.past);
+                inflections.supine = this.addSuffix(stem, rules.supine);
+                inflections.pastParticiple = this.addSuffix(stem, rules.pastParticiple);
+                // -ende follows a stressed final vowel (gående, boende) and replaces an unstressed one (feiende, heiende)
+                const participle = rules.presentParticiple.replace(/^-/, '');
+                inflections.presentParticiple = !vowelStem
+                    ? this.addSuffix(stem, rules.presentParticiple)
+                    : stem.length > 2 && /[ae]$/.test(stem) ? stem.slice(0, -1) + participle : stem + participle;
                 inflections.imperative = stem;
+                if (!vowelStem) {
+                    inflections.accepted = { past: [this.addSuffix(stem, rules.informalPast)] };
+                }
                 break;
         }
 
+        return this.applyParadigm(inflections, baseForm, partOfSpeech);
+    }
+
+    // Replace regular forms with an irregular paradigm (spec §4.2.1, §4.3.1, §4.4.1)
+    applyParadigm(inflections, baseForm, partOfSpeech) {
+        const table = this.paradigms[`${partOfSpeech}s`];
+        const paradigm = table && table[baseForm];
+        if (!paradigm) return inflections;
+
+        for (const [form, value] of Object.entries(paradigm)) {
+            if (form === 'accepted' || form === 'description') continue;
+
+            if (value === null) {
+                // Forms that do not exist, such as the imperative of modal verbs
+                delete inflections[form];
+            } else if (typeof value === 'object' && typeof inflections[form] === 'object') {
+                Object.assign(inflections[form], value);
+            } else {
+                inflections[form] = value;
+            }
+        }
+
+        // Accepted alternatives are valid spellings, listed apart from the primary forms.
+        // They replace regular alternatives such as the -a past, which strong verbs lack.
+        if (paradigm.accepted) {
+            inflections.accepted = paradigm.accepted;
+        } else {
+            delete inflections.accepted;
+        }
+
         return inflections;
     }
 
@@ -372,45 +705,106 @@ class DictionaryBuilder {
     async analyzeCognates(sourceData) {
         console.log('Analyzing cognates...');
 
-        // Create concept map (English meanings to translations)
-        const conceptMap = new Map();
-
-        for (const [lang, entries] of Object.entries(sourceData)) {
-            for (const entry of entries) {
-                const english = entry.english?.toLowerCase();
-                if (!english) continue;
-
-                if (!conceptMap.has(english)) {
-                    conceptMap.set(english, {});
-                }
+        // Align source words into concepts (normalized glosses, synonyms, homonyms split by POS)
+        const concepts = this.conceptAligner.align(sourceData);
+
+        // Cognates found by written form fill languages the English glosses missed
+        const clusters = this.cognateClusterer.cluster(sourceData);
+        const { extended, review } = this.cognateClusterer.extendConcepts(concepts, clusters, this.conceptAligner);
+        await this.cognateClusterer.writeReview(review);
+        console.log(`Form clustering extended ${extended} concepts; ${review.length} uncertain clusters written for review`);
+        const threeWay = Array.from(concepts.values())
+            .filter(concept => concept.alignment.languages === this.sourceLanguages.length).length;
+        console.log(`Aligned ${concepts.size} concepts (${threeWay} in all ${this.sourceLanguages.length} languages)`);
+
+        // Learn which sound correspondences are systematic before scoring cognates
+        this.soundCorrespondences = this.phonologicalDistance.learn(this.getConceptPairs(concepts));
+        console.log(`Learned ${this.soundCorrespondences.substitutions.length + this.soundCorrespondences.insertions.length} sound correspondence costs from ${this.soundCorrespondences.pairs} cognate pairs`);
+
+        // Select best Nordum form for each concept using new priority system
+        const selections = [];
+        for (const concept of concepts.values()) {
+            // Skip if no valid translations
+            if (Object.keys(concept.translations).length < 1) continue;
 
-                conceptMap.get(english)[lang] = {
-                    word: entry.word,
-                    pos: entry.pos,
-                    gender: entry.gender,
-                    frequency: parseInt(entry.frequency) || 0
-                };
+            const nordumForm = this.selectNordumForm(concept.translations, concept.english);
+            if (nordumForm) {
+                selections.push({ ...concept, nordumForm });
             }
         }
-        // Analyze each concept using new Nordum selection rules
-        for (const [english, translations] of conceptMap.entries()) {
-            // Skip if no valid translations
-            const langCount = Object.keys(translations).length;
-            if (langCount < 1) continue;
-
 
+        // Compounds are rebuilt from the Nordum forms of their parts
+        const { compounds, rebuilt } = this.compoundAnalyzer.rebuild(selections, sourceData);
+        console.log(`Found ${compounds} compounds, ${rebuilt} rebuilt from the Nordum forms of their parts`);
+
+        // Systematic spelling correspondences, candidate rules and the words that break them
+        const mined = this.correspondenceMiner.mine(selections);
+        await this.correspondenceMiner.writeReport(mined);
+        console.log(`Mined sound correspondences: ${mined.candidates.length} candidate rules, ${mined.flagged.length} flagged words`);
+
+        // Pronouns, articles, prepositions, conjunctions and question words come from the curated lexicon
+        const closedClassConcepts = [];
+
+        // Place names follow the endonym policy instead of the source spellings
+        const toponymGlosses = this.toponymBuilder.glosses();
+        const toponymConcepts = [];
+
+        // Curated reflexive and particle verbs replace automatic selections of the same headword
+        const multiwordHeadwords = new Set(this.multiwordVerbList.map(item => item.nordum));
+        const multiwordConcepts = [];
+
+        // Known noun genders and verbs for compound heads and nominalized infinitives
+        const posOf = translations => this.selectBestPOS(
+            Object.values(translations).map(t => t.pos).filter(Boolean), translations
+        ) || 'noun';
+        this.genderResolver.index(selections, posOf);
+
+        // Parts of speech of every selected form, for linking derivations to their bases
+        const lexicon = new Map();
+        for (const { nordumForm, translations } of selections) {
+            if (!lexicon.has(nordumForm)) lexicon.set(nordumForm, new Set());
+            lexicon.get(nordumForm).add(posOf(translations));
+        }
+        let derived = 0;
+
+        // Analyze each concept
+        for (const selection of selections) {
+            const { english, translations, alignment, nordumForm, compound } = selection;
+            if (this.isClosedClassConcept(english, translations)) {
+                closedClassConcepts.push(selection);
+                continue;
+            }
+            if (toponymGlosses.has(english.toLowerCase())) {
+                toponymConcepts.push(selection);
+                continue;
+            }
+            if (multiwordHeadwords.has(nordumForm)) {
+                multiwordConcepts.push(selection);
+                continue;
+            }
 
-            // Select best Nordum form using new priority system
-            const nordumForm = this.selectNordumForm(translations, english);
-            if (!nordumForm) continue;
+            const langCount = Object.keys(translations).length;
 
             // Determine best part of speech with Norwegian/Danish preference
             const posOptions = Object.values(translations).map(t => t.pos).filter(Boolean);
             const pos = this.selectBestPOS(posOptions, translations) || 'noun';
 
-            // Determine best gender with Norwegian/Danish preference
-            const genderOptions = Object.values(translations).map(t => t.gender).filter(Boolean);
-            const gender = pos === 'noun' ? this.selectBestGender(genderOptions, translations) : null;
+            // Kept and adapted loanwords take the gender of the sources that use them
+            const loan = this.loanwords.assess(translations, english);
+            const loanword = loan && loan.form === nordumForm ? loan : null;
+
+            // Nouns get their gender from the §4.3.3 resolver, with the reason recorded
+            // Regular derivations of another entry (frihet ← fri) are linked to their base
+            const derivation = this.derivation.analyze(nordumForm, base => lexicon.get(base))
+                .find(analysis => analysis.pos === pos && analysis.base !== nordumForm) || null;
+            if (derivation) derived++;
+
+            const flaggedBefore = this.genderResolver.review.length;
+            const genderResolution = pos === 'noun'
+                ? this.genderResolver.resolve(nordumForm, translations, english, compound, derivation, loanword)
+                : null;
+            const flaggedGenders = this.genderResolver.review.slice(flaggedBefore);
+            const gender = genderResolution ? genderResolution.gender : null;
 
             // Calculate weighted frequency favoring Norwegian/Danish
             const avgFrequency = this.calculateWeightedFrequency(translations);
@@ -422,22 +816,82 @@ class DictionaryBuilder {
 
             // Generate inflections for this entry
             const inflections = this.generateInflections(nordumForm, pos, gender);
+            const multiword = pos === 'verb' ? this.describeMultiwordVerb(nordumForm) : null;
 
-            this.nordumDictionary.set(nordumForm, {
-                nordum: nordumForm,
+            const sense = {
                 english,
                 pos,
                 gender,
-                cognateScore: Math.max(cognateScore, 0.5), // Minimum reasonable score
+                ...(genderResolution && { genderReason: genderResolution.reason }),
+                cognateScore,
                 langCount,
                 frequency: avgFrequency,
                 sources: translations,
                 inflections: inflections,
-                selectionReason: this.getSelectionReason(nordumForm, translations, english)
-            });
+                alignment,
+                ...(compound && { compound }),
+                ...(derivation && {
+                    derivation: { base: derivation.base, affix: derivation.affix, basePos: derivation.basePos }
+                }),
+                ...(multiword && { multiword }),
+                ...(loan && {
+                    loanword: {
+                        decision: loan.decision,
+                        word: loan.word,
+                        languages: loan.languages,
+                        score: loan.score,
+                        cues: loan.cues,
+                        ...(loan.rules && { rules: loan.rules })
+                    }
+                }),
+                selectionReason: this.getSelectionReason(nordumForm, translations, english, compound)
+            };
+
+            // Curated overrides win over automatic selection
+            const override = this.findOverride(english, pos, nordumForm);
+            this.queueCloseDecisions(selection, pos, flaggedGenders, override);
+            if (override) {
+                this.addSense(override.nordum || nordumForm, this.applyOverride(sense, override, override.nordum || nordumForm));
+            } else {
+                this.addSense(nordumForm, sense);
+            }
         }
 
-        console.log(`Generated ${this.nordumDictionary.size} Nordum entries`);
+        this.warnUnusedOverrides();
+
+        console.log(`Linked ${derived} derived senses to their bases`);
+
+        await this.genderResolver.writeReview();
+        console.log(`Resolved noun genders; ${this.genderResolver.review.length} disputed nouns written for review`);
+
+        await this.reviewQueue.write();
+        const queued = this.reviewQueue.summarize();
+        console.log(`Queued ${queued.count} close decisions for review (${Object.entries(queued.byKind).map(([kind, count]) => `${count} ${kind}`).join(', ')})`);
+
+        const closedClass = this.addClosedClassEntries(closedClassConcepts);
+        console.log(`Added ${closedClass} closed-class senses, replacing ${closedClassConcepts.length} automatic selections`);
+
+        const multiwordVerbs = this.addMultiwordVerbEntries(multiwordConcepts);
+        console.log(`Added ${multiwordVerbs} reflexive and particle verb senses, replacing ${multiwordConcepts.length} automatic selections`);
+
+        const phrases = this.addPhraseEntries();
+        console.log(`Added ${phrases} fixed expressions and idioms from the phrase lexicon`);
+
+        const toponyms = this.toponymBuilder.buildSenses(toponymConcepts, (nordum, pos) =>
+            (this.nordumDictionary.get(nordum)?.senses || []).some(sense => sense.pos === pos)
+        );
+        toponyms.forEach(({ nordum, sense }) => this.addSense(nordum, sense));
+        console.log(`Added ${toponyms.length} geographic name senses (§5.5)`);
+
+        const numerals = this.addNumeralEntries();
+        console.log(`Added ${numerals} numeral senses from the Nordum number system`);
+
+        // Strongest sense first within each headword
+        for (const entry of this.nordumDictionary.values()) {
+            entry.senses.sort((a, b) => this.getSenseScore(b) - this.getSenseScore(a) || b.frequency - a.frequency);
+        }
+
+        console.log(`Generated ${this.nordumDictionary.size} Nordum headwords with ${this.countSenses()} senses`);
 
         // Generate alternative spellings
         const entriesArray = Array.from(this.nordumDictionary.values());
@@ -454,6 +908,215 @@ class DictionaryBuilder {
         console.log(`Added ${this.nordumDictionary.size - entriesArray.length} alternative spellings`);
     }
 
+    // Word pairs of every two languages within each concept
+    getConceptPairs(concepts) {
+        const pairs = [];
+        for (const concept of concepts.values()) {
+            const words = Object.values(concept.translations).map(translation => translation.word);
+            for (let i = 0; i < words.length; i++) {
+                for (let j = i + 1; j < words.length; j++) {
+                    pairs.push([this.normalizeForComparison(words[i]), this.normalizeForComparison(words[j])]);
+                }
+            }
+        }
+        return pairs;
+    }
+
+    // Pin the fields an override sets; inflections follow a changed form or POS unless pinned too
+    applyOverride(sense, override, nordumForm) {
+        const pinned = { ...sense, override: override.id };
+
+        if (override.pos) pinned.pos = override.pos;
+        if (override.gender !== undefined) {
+            pinned.gender = override.gender;
+            pinned.genderReason = `Manual override by rule ${override.id}`;
+        }
+        pinned.inflections = override.inflections ||
+            this.generateInflections(nordumForm, pinned.pos, pinned.gender);
+        if (override.alternatives) pinned.alternatives = override.alternatives;
+
+        pinned.selectionReason = `Manual override by rule ${override.id}: ${override.reason}`;
+        return pinned;
+    }
+
+    // Homographs (var "where" / var "was") share a headword, one sense per concept
+    addSense(nordumForm, sense) {
+        if (!this.nordumDictionary.has(nordumForm)) {
+            this.nordumDictionary.set(nordumForm, { nordum: nordumForm, senses: [] });
+        }
+
+        this.nordumDictionary.get(nordumForm).senses.push(sense);
+    }
+
+    /**
+     * Whether a concept is a closed-class word from the curated lexicon. The
+     * gloss must match an entry and a source must carry the entry's part of
+     * speech or one of its words, so "that" (datt, verb) is not taken for the
+     * conjunction att.
+     */
+    isClosedClassConcept(english, translations) {
+        const gloss = english.toLowerCase();
+        return this.closedClass.some(item => {
+            if (item.english.toLowerCase() !== gloss) return false;
+            const words = new Set([item.nordum, ...Object.values(item.sources || {}), ...this.flattenForms(item.inflections)]);
+            return Object.values(translations).some(t => t.pos === item.pos || words.has(t.word.toLowerCase()));
+        });
+    }
+
+    // Every form in a (possibly nested) inflection table
+    flattenForms(inflections) {
+        if (!inflections) return [];
+        if (typeof inflections === 'string') return [inflections];
+        return Object.values(inflections).flatMap(value => this.flattenForms(value));
+    }
+
+    // Curated closed-class words with full paradigms, replacing the automatic selection for their gloss
+    addClosedClassEntries(concepts) {
+        const byGloss = new Map();
+        for (const concept of concepts) {
+            const gloss = concept.english.toLowerCase();
+            byGloss.set(gloss, [...(byGloss.get(gloss) || []), concept]);
+        }
+
+        for (const item of this.closedClass) {
+            const aligned = byGloss.get(item.english.toLowerCase()) || [];
+            const translations = this.getClosedClassSources(item, aligned);
+            const words = Object.values(translations).map(t => t.word);
+
+            this.addSense(item.nordum, {
+                english: item.english,
+                pos: item.pos,
+                gender: null,
+                cognateScore: this.calculateCognateScore(words),
+                langCount: words.length,
+                frequency: this.calculateWeightedFrequency(translations),
+                sources: translations,
+                inflections: item.inflections || {},
+                alignment: aligned.length > 0 ? aligned[0].alignment : null,
+                closedClass: item.class,
+                ...(item.lemma && { lemma: item.lemma }),
+                ...(item.alternatives && { alternatives: item.alternatives }),
+                selectionReason: `Closed-class lexicon: ${item.class === item.pos ? item.pos : `${item.class} ${item.pos}`}${item.spec ? ` (${item.spec})` : ''}`
+            });
+        }
+
+        return this.closedClass.length;
+    }
+
+    // Curated reflexive and particle verbs, with the structure of each and only the verb inflected
+    addMultiwordVerbEntries(concepts) {
+        let added = 0;
+
+        for (const item of this.multiwordVerbList) {
+            const multiword = this.describeMultiwordVerb(item.nordum);
+            if (!multiword) {
+                console.warn(`Multiword verb "${item.nordum}" is not a verb with sei and/or a known particle`);
+                continue;
+            }
+
+            const aligned = concepts.filter(concept => concept.nordumForm === item.nordum);
+            const translations = this.getClosedClassSources({ ...item, pos: 'verb' }, aligned);
+            const words = Object.values(translations).map(t => t.word);
+
+            this.addSense(item.nordum, {
+                english: item.english,
+                pos: 'verb',
+                gender: null,
+                cognateScore: this.calculateCognateScore(words),
+                langCount: words.length,
+                frequency: this.calculateWeightedFrequency(translations),
+                sources: translations,
+                inflections: this.generateInflections(item.nordum, 'verb'),
+                alignment: aligned.length > 0 ? aligned[0].alignment : null,
+                multiword,
+                selectionReason: `Multiword verb lexicon: ${multiword.type} verb${multiword.reflexive ? ' (§4.6.2)' : ''}`
+            });
+            added++;
+        }
+
+        return added;
+    }
+
+    // Fixed expressions and idioms, translated as a whole rather than word by word
+    addPhraseEntries() {
+        for (const item of this.phrases) {
+            const translations = this.getClosedClassSources({ ...item, pos: 'phrase' }, []);
+            const words = Object.values(translations).map(t => t.word);
+
+            this.addSense(item.nordum, {
+                english: item.english,
+                pos: 'phrase',
+                gender: null,
+                cognateScore: this.calculateCognateScore(words),
+                langCount: words.length,
+                frequency: this.calculateWeightedFrequency(translations),
+                sources: translations,
+                inflections: {},
+                alignment: null,
+                phrase: { class: item.class, ...(item.quick && { quick: item.quick }) },
+                selectionReason: `Phrase lexicon: ${item.class}`
+            });
+        }
+
+        return this.phrases.length;
+    }
+
+    // The curated source words, with frequencies from any aligned concept that has them
+    getClosedClassSources(item, concepts) {
+        const sources = {};
+        for (const [lang, word] of Object.entries(item.sources || {})) {
+            const found = concepts.map(concept => concept.translations[lang])
+                .find(translation => translation && translation.word.toLowerCase() === word.toLowerCase());
+
+            sources[lang] = found
+                ? { ...found, pos: item.pos }
+                : { word, pos: item.pos, gender: '', frequency: 0, gloss: item.english };
+        }
+        return sources;
+    }
+
+    // Cardinals, ordinals and fractions the source dictionaries lack, spelled by the numeral system (§2.4)
+    addNumeralEntries() {
+        let added = 0;
+
+        for (const { nordum, english, kind } of this.numerals.dictionaryEntries()) {
+            const pos = kind === 'fraction' && nordum.endsWith(this.numerals.fractions.suffix) ? 'noun' : 'numeral';
+            const gender = pos === 'noun' ? 'common' : null;
+
+            // Concepts found in the sources keep their own sense
+            const existing = this.nordumDictionary.get(nordum);
+            if (existing && existing.senses.some(sense => sense.english === english || sense.pos === pos)) continue;
+
+            this.addSense(nordum, {
+                english,
+                pos,
+                gender,
+                cognateScore: 1,
+                langCount: 0,
+                frequency: 0,
+                sources: {},
+                inflections: this.generateInflections(nordum, pos, gender),
+                alignment: null,
+                selectionReason: 'Nordum numeral system (§2.4)'
+            });
+            added++;
+        }
+
+        return added;
+    }
+
+    getSenseScore(sense) {
+        return sense.cognateScore * sense.langCount;
+    }
+
+    countSenses(entries = this.nordumDictionary.values()) {
+        let count = 0;
+        for (const entry of entries) {
+            count += entry.senses.length;
+        }
+        return count;
+    }
+
     selectMostCommonValue(values) {
         if (!values.length) return null;
 
@@ -468,50 +1131,28 @@ class DictionaryBuilder {
     selectBestPOS(posOptions, translations) {
         if (!posOptions.length) return 'noun';
 
-        // Weight by source language preference
-        const weightedCounts = {};
-
-        for (const [lang, trans] of Object.entries(translations)) {
-            if (!trans.pos) continue;
-
-            const weight = (lang === 'norwegian' || lang === 'danish') ? 2 : 1;
-            const pos = trans.pos;
-
-            weightedCounts[pos] = (weightedCounts[pos] || 0) + weight;
-        }
-
-        if (Object.keys(weightedCounts).length === 0) {
+        const ranked = this.rankPOS(translations);
+        if (ranked.length === 0) {
             return this.selectMostCommonValue(posOptions);
         }
 
-        return Object.entries(weightedCounts)
-            .sort((a, b) => b[1] - a[1])[0][0];
+        return ranked[0][0];
     }
 
-    // Select best gender with Norwegian/Danish preference
-    selectBestGender(genderOptions, translations) {
-        if (!genderOptions.length) return 'common';
-
-        // Weight by source language preference
+    // Parts of speech with their votes weighted by source language preference, best first
+    rankPOS(translations) {
         const weightedCounts = {};
 
         for (const [lang, trans] of Object.entries(translations)) {
-            if (!trans.gender) continue;
+            if (!trans.pos) continue;
 
             const weight = (lang === 'norwegian' || lang === 'danish') ? 2 : 1;
-            const gender = this.normalizeGender(trans.gender);
-
-            if (gender) {
-                weightedCounts[gender] = (weightedCounts[gender] || 0) + weight;
-            }
-        }
+            const pos = trans.pos;
 
-        if (Object.keys(weightedCounts).length === 0) {
-            return this.selectMostCommonValue(genderOptions.map(g => this.normalizeGender(g)).filter(Boolean));
+            weightedCounts[pos] = (weightedCounts[pos] || 0) + weight;
         }
 
-        return Object.entries(weightedCounts)
-            .sort((a, b) => b[1] - a[1])[0][0];
+        return Object.entries(weightedCounts).sort((a, b) => b[1] - a[1]);
     }
 
     // Calculate weighted frequency favoring Norwegian/Danish
@@ -551,10 +1192,17 @@ class DictionaryBuilder {
     }
 
     // Get explanation for why this Nordum form was selected
-    getSelectionReason(nordumForm, translations, english) {
-        if (english && this.englishLoanwords.has(english.toLowerCase())) {
+    getSelectionReason(nordumForm, translations, english, compound = null) {
+        const loan = this.loanwords.assess(translations, english);
+        if (loan && loan.decision === 'keep') {
             return 'English loanword preserved (Danish practice)';
         }
+        if (loan && loan.decision === 'adapt') {
+            return `Loanword adapted to Nordum spelling (${loan.word} → ${loan.form})`;
+        }
+        if (loan && loan.decision === 'replace') {
+            return `Loanword ${loan.word} (${loan.languages.join(', ')}) replaced by the native words of the other sources`;
+        }
 
         for (const [norNum, engNum] of this.norwegianNumbers.entries()) {
             if (english && english.toLowerCase() === engNum) {
@@ -569,39 +1217,68 @@ class DictionaryBuilder {
         const hasNorwegian = translations.norwegian && translations.norwegian.word;
         const hasDanish = translations.danish && translations.danish.word;
 
+        let reason = 'Selected based on regularity and frequency';
         if (hasNorwegian && hasDanish) {
-            return 'Bokmål/Danish agreement (preferred foundation)';
+            reason = 'Bokmål/Danish agreement (preferred foundation)';
         } else if (hasNorwegian) {
-            return 'Norwegian Bokmål form (preferred over Swedish)';
+            reason = 'Norwegian Bokmål form (preferred over Swedish)';
         } else if (hasDanish) {
-            return 'Danish form (preferred over Swedish)';
+            reason = 'Danish form (preferred over Swedish)';
+        }
+
+        const spellingRules = this.findSpellingRules(translations);
+        if (spellingRules.length > 0) {
+            const applied = spellingRules
+                .map(rule => `§3.3.3 rule ${rule.rule}: ${rule.description}`)
+                .join(', ');
+            reason += `; spelling rule applied (${applied})`;
         }
 
-        return 'Selected based on regularity and frequency';
+        if (compound) {
+            const parts = compound.parts.map((part, i) => part + (compound.links[i] ? ` + ${compound.links[i]}` : '')).join(' + ');
+            reason += `; compound of ${parts} (decomposed in ${compound.languages.join(', ')})`;
+        }
+
+        return reason;
     }
 
     // Generate alternative spellings for pronunciation variants
     generateAlternativeSpellings(entries) {
-        const entriesWithAlternatives = [...entries];
+        const alternatives = new Map();
 
         for (const entry of entries) {
-            const alternatives = this.getAlternativeSpellings(entry.nordum, entry.english);
-
-            for (const alt of alternatives) {
-                // Create alternative entry
-                const altEntry = {
-                    ...entry,
-                    nordum: alt.spelling,
-                    alternativeOf: entry.nordum,
-                    alternativeReason: alt.reason,
-                    frequency: Math.round(entry.frequency * 0.7) // Lower frequency for alternatives
-                };
+            for (const sense of entry.senses) {
+                // Pinned alternatives replace the generated ones
+                const spellings = sense.alternatives
+                    ? sense.alternatives.map(alt => typeof alt === 'string' ? {
+                        spelling: alt,
+                        reason: sense.override ? `Manual override by rule ${sense.override}` : sense.selectionReason
+                    } : alt)
+                    : this.getAlternativeSpellings(entry.nordum, sense.english);
+
+                for (const alt of spellings) {
+                    if (!alternatives.has(alt.spelling)) {
+                        alternatives.set(alt.spelling, {
+                            nordum: alt.spelling,
+                            alternativeOf: entry.nordum,
+                            alternativeReason: alt.reason,
+                            senses: []
+                        });
+                    }
 
-                entriesWithAlternatives.push(altEntry);
+                    // The first headword to claim a spelling keeps it
+                    const altEntry = alternatives.get(alt.spelling);
+                    if (altEntry.alternativeOf !== entry.nordum) continue;
+
+                    altEntry.senses.push({
+                        ...sense,
+                        frequency: Math.round(sense.frequency * 0.7) // Lower frequency for alternatives
+                    });
+                }
             }
         }
 
-        return entriesWithAlternatives;
+        return [...entries, ...alternatives.values()];
     }
 
     // Get alternative spellings for a word
@@ -610,21 +1287,32 @@ class DictionaryBuilder {
 
         // Question word alternatives based on pronunciation variants
         const questionAlternatives = {
-            'vad': [
-                { spelling: 'va', reason: 'Short form variant (common in speech)' }
-            ],
-            'varför': [
-                { spelling: 'vorfor', reason: 'Norwegian/Danish pronunciation variant' }
-            ],
-            'ven': [
-                { spelling: 'vornår', reason: 'Full form variant (Danish hvornår → vornår)' },
-                { spelling: 'när', reason: 'Swedish pronunciation variant' },
-                { spelling: 'når', reason: 'Norwegian pronunciation variant' }
-            ]
+            'vad': {
+                english: 'what',
+                spellings: [
+                    { spelling: 'va', reason: 'Short form variant (common in speech)' }
+                ]
+            },
+            'varför': {
+                english: 'why',
+                spellings: [
+                    { spelling: 'vorfor', reason: 'Norwegian/Danish pronunciation variant' }
+                ]
+            },
+            'ven': {
+                english: 'when',
+                spellings: [
+                    { spelling: 'vornår', reason: 'Full form variant (Danish hvornår → vornår)' },
+                    { spelling: 'när', reason: 'Swedish pronunciation variant' },
+                    { spelling: 'når', reason: 'Norwegian pronunciation variant' }
+                ]
+            }
         };
 
-        if (questionAlternatives[nordumWord]) {
-            alternatives.push(...questionAlternatives[nordumWord]);
+        // Only the question-word sense gets these, not a homograph such as Swedish ven
+        const question = questionAlternatives[nordumWord];
+        if (question && (!english || english === question.english)) {
+            alternatives.push(...question.spellings);
         }
 
         // Sound pattern alternatives: ej/ei, øj/øy, aj/ai variants
@@ -705,53 +1393,38 @@ class DictionaryBuilder {
 
     // Apply morphological transformation during word selection
     applyMorphologicalTransformation(word, pos) {
-        let transformedWord = word;
-
-        switch (pos) {
-            case 'verb':
-                // Verbs: ensure present tense uses -er (never -ar)
-                if (transformedWord.endsWith('ar')) {
-                    transformedWord = transformedWord.slice(0, -2) + 'er';
-                }
-                // Apply to specific Swedish verb forms
-                if (word === 'arbetar') {
-                    transformedWord = 'arbeider'; // arbetar -> arbeider (keep Norwegian/Danish form)
-                }
-                break;
-
-            case 'noun':
-                // Nouns: transform Norwegian -er plurals to Nordum -ar plurals
-                if (transformedWord.endsWith('er')) {
-                    transformedWord = transformedWord.slice(0, -2) + 'ar';
-                }
-                break;
-
-            case 'adjective':
-                // Adjectives: base form unchanged, comparatives handled in inflection
-                break;
-        }
-
-        return transformedWord;
+        return this.converter.applyMorphologicalTransformation(word, pos);
     }
 
     // Apply systematic sound pattern transformations
     applySoundPatterns(word) {
-        let transformedWord = word;
-
-        // Danish ej -> ei transformation (systematic)
-        transformedWord = transformedWord.replace(/ej/g, 'ei');
+        return this.converter.applySoundPatterns(word);
+    }
 
-        // Danish øj -> øy transformation
-        transformedWord = transformedWord.replace(/øj/g, 'øy');
+    // IPA for the headword and every inflected form of its senses
+    addPronunciations(entry) {
+        entry.ipa = this.g2p.transcribe(entry.nordum);
 
-        // Danish aj -> ai transformation
-        transformedWord = transformedWord.replace(/aj/g, 'ai');
+        // Alternative spellings share the inflections of their main entry
+        if (entry.alternativeOf) return;
 
-        // Additional sound clarifications
-        // Swedish/Norwegian y vs Danish y patterns
-        // (These might need refinement based on actual usage)
+        const pronunciations = {};
+        const addForms = (forms) => {
+            if (typeof forms === 'string') {
+                if (forms !== entry.nordum && !pronunciations[forms]) {
+                    pronunciations[forms] = this.g2p.transcribe(forms);
+                }
+            } else if (forms && typeof forms === 'object') {
+                Object.values(forms).forEach(addForms);
+            }
+        };
+        for (const sense of entry.senses) {
+            addForms(sense.inflections);
+        }
 
-        return transformedWord;
+        if (Object.keys(pronunciations).length > 0) {
+            entry.pronunciations = pronunciations;
+        }
     }
 
     // Export dictionary formats
@@ -765,9 +1438,21 @@ class DictionaryBuilder {
                 if (a.alternativeOf && !b.alternativeOf) return 1;
                 if (!a.alternativeOf && b.alternativeOf) return -1;
 
-                // Then by frequency and cognate score
-                return (b.cognateScore * b.langCount) - (a.cognateScore * a.langCount);
+                // Then by the cognate score of the strongest sense
+                return this.getSenseScore(b.senses[0]) - this.getSenseScore(a.senses[0]);
             });
+        const senseCount = this.countSenses(sortedEntries);
+
+        for (const entry of sortedEntries) {
+            this.addPronunciations(entry);
+        }
+
+        // Measure compliance with the specification invariants
+        const validation = this.specValidator.validate(sortedEntries);
+        await this.specValidator.writeReport(validation);
+
+        // Score every sense on the four quality dimensions
+        const quality = this.qualityScorer.scoreEntries(sortedEntries, validation.violations);
 
         // Get version information
         const versionInfo = this.versionManager.getVersionInfo();
@@ -778,16 +1463,24 @@ class DictionaryBuilder {
                 version: versionInfo.version,
                 generated: new Date().toISOString(),
                 entryCount: sortedEntries.length,
+                senseCount,
                 languages: ['nordum', 'english', 'norwegian', 'danish', 'swedish'],
                 buildInfo: {
                     ...versionInfo,
+                    overridesVersion: this.overridesVersion,
+                    closedClassVersion: this.closedClassVersion,
+                    multiwordVerbsVersion: this.multiwordVerbsVersion,
+                    phrasesVersion: this.phrasesVersion,
+                    toponymsVersion: this.toponymBuilder.version,
                     rules: {
                         soundPatterns: ['ej→ei', 'øj→øy', 'aj→ai'],
+                        spelling: ['k/g→g', 'gj/g→g', 'x/ks→ks', 'kj/k→k'],
                         morphology: ['verbs:-er', 'plurals:-ar', 'comparative:-ere'],
                         alternatives: ['æ/ø↔ä/ö', 'question-variants', 'pronunciation-forms']
                     }
                 }
             },
+            soundCorrespondences: this.soundCorrespondences,
             entries: sortedEntries.reduce((acc, entry) => {
                 acc[entry.nordum] = entry;
                 return acc;
@@ -799,20 +1492,22 @@ class DictionaryBuilder {
             JSON.stringify(jsonDict, null, 2)
         );
 
-        // Compact format for spell checking
+        // Compact format for spell checking; multiword verbs contribute their words (tar, opp)
         const spellCheckList = sortedEntries.map(entry => {
-            const words = [entry.nordum];
-
-            // Add inflected forms
-            if (entry.inflections && typeof entry.inflections === 'object') {
-                const addFormsRecursively = (forms) => {
-                    if (typeof forms === 'string' && forms !== entry.nordum) {
-                        words.push(forms);
-                    } else if (typeof forms === 'object' && forms !== null) {
-                        Object.values(forms).forEach(addFormsRecursively);
-                    }
-                };
-                Object.values(entry.inflections).forEach(addFormsRecursively);
+            const words = entry.nordum.split(' ');
+
+            // Add inflected forms of every sense
+            const addFormsRecursively = (forms) => {
+                if (typeof forms === 'string' && forms !== entry.nordum) {
+                    words.push(...forms.split(' '));
+                } else if (typeof forms === 'object' && forms !== null) {
+                    Object.values(forms).forEach(addFormsRecursively);
+                }
+            };
+            for (const sense of entry.senses) {
+                if (sense.inflections && typeof sense.inflections === 'object') {
+                    Object.values(sense.inflections).forEach(addFormsRecursively);
+                }
             }
 
             return [...new Set(words)]; // Remove duplicates
@@ -826,18 +1521,37 @@ class DictionaryBuilder {
         // Statistics
         const stats = {
             totalEntries: sortedEntries.length,
+            totalSenses: senseCount,
             byPartOfSpeech: {},
             averageCognateScore: 0,
             coverageByLanguage: {},
-            regularityScore: 0
+            regularityScore: quality.averages.regularity,
+            quality,
+            ruleCompliance: validation.ruleCompliance,
+            specViolations: Object.fromEntries(
+                Object.entries(validation.byRule).map(([rule, { violations }]) => [rule, violations])
+            )
         };
 
         sortedEntries.forEach(entry => {
-            stats.byPartOfSpeech[entry.pos] = (stats.byPartOfSpeech[entry.pos] || 0) + 1;
-            stats.averageCognateScore += entry.cognateScore;
+            entry.senses.forEach(sense => {
+                stats.byPartOfSpeech[sense.pos] = (stats.byPartOfSpeech[sense.pos] || 0) + 1;
+                stats.averageCognateScore += sense.cognateScore;
+            });
         });
 
-        stats.averageCognateScore /= sortedEntries.length;
+        stats.averageCognateScore /= senseCount;
+
+        // Alignment quality of the concepts behind main entries
+        const mainSenses = sortedEntries.filter(entry => !entry.alternativeOf)
+            .flatMap(entry => entry.senses)
+            .filter(sense => sense.alignment);
+        stats.alignment = {
+            concepts: mainSenses.length,
+            allLanguages: mainSenses.filter(sense => sense.alignment.languages === this.sourceLanguages.length).length,
+            homonymSenses: mainSenses.filter(sense => sense.alignment.homonym).length,
+            averageConfidence: mainSenses.reduce((sum, sense) => sum + sense.alignment.confidence, 0) / mainSenses.length
+        };
 
         await fs.writeFile(
             path.join(this.buildDir, 'statistics.json'),
@@ -848,13 +1562,17 @@ class DictionaryBuilder {
         const alternativeCount = sortedEntries.filter(e => e.alternativeOf).length;
         await this.versionManager.updateStatistics({
             totalEntries: sortedEntries.length,
+            totalSenses: senseCount,
             alternativeSpellings: alternativeCount,
             averageCognateScore: stats.averageCognateScore,
+            ruleCompliance: validation.ruleCompliance,
             lastBuild: new Date().toISOString()
         });
 
-        console.log(`Exported dictionary with ${sortedEntries.length} entries`);
+        console.log(`Exported dictionary with ${sortedEntries.length} entries (${senseCount} senses)`);
         console.log(`Average cognate score: ${stats.averageCognateScore.toFixed(3)}`);
+        console.log(`Average quality: ${quality.averages.overall} (intelligibility ${quality.averages.intelligibility}, regularity ${quality.averages.regularity}, utility ${quality.averages.utility}, balance ${quality.averages.balance}; source coverage ${quality.averages.coverage})`);
+        console.log(`Rule compliance: ${validation.ruleCompliance}% (${validation.violations.length} violations in ${validation.checked} checks)`);
         console.log(`Version: ${this.versionManager.getVersionString()}`);
     }
 
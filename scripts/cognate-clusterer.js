@@ -0,0 +1,338 @@
+#!/usr/bin/env node
+
+const fs = require('fs').promises;
+const path = require('path');
+const PhonologicalDistance = require('../src/js/nordum/phonological-distance');
+
+/**
+ * Nordum Cognate Clusterer
+ *
+ * Finds Norwegian, Danish and Swedish cognates by their written form alone,
+ * so that words glossed differently in English ("bil": car / automobile) still
+ * end up in the same concept. Words are compared with the phonological
+ * distance after the builder's normalization, must have compatible parts of
+ * speech, and are weighed by how similar their frequencies are. Confident
+ * clusters extend the gloss-based concepts; uncertain ones are written to a
+ * review file.
+ */
+class CognateClusterer {
+    constructor(options = {}) {
+        this.languages = options.languages || ['norwegian', 'danish', 'swedish'];
+        this.normalize = options.normalize || (word => word.toLowerCase());
+        this.distance = options.distance || new PhonologicalDistance();
+        this.reviewFile = options.reviewFile || path.join(__dirname, '../reports/cognate-review.json');
+
+        this.minSimilarity = 0.7;     // Below this, forms are not considered related
+        this.minConfidence = 0.85;    // Clusters below this go to review
+        this.minConfidentLength = 4;  // Short identical words are too often false friends
+        this.maxLengthDifference = 2;
+    }
+
+    /**
+     * Collect one candidate per written word and language
+     */
+    collectWords(sourceData) {
+        const words = {};
+
+        for (const lang of this.languages) {
+            const byWord = new Map();
+
+            for (const entry of sourceData[lang] || []) {
+                const word = (entry.word || '').toLowerCase().trim();
+                if (!/^[a-zæøåäöé]+$/.test(word) || word.length < 3) continue;
+
+                const frequency = parseInt(entry.frequency) || 0;
+                const existing = byWord.get(word);
+                if (!existing || frequency > existing.frequency) {
+                    byWord.set(word, {
+                        word,
+                        lang,
+                        pos: entry.pos || null,
+                        frequency,
+                        normalized: this.normalize(word)
+                    });
+                }
+            }
+
+            words[lang] = Array.from(byWord.values());
+        }
+
+        return words;
+    }
+
+    /**
+     * Index words by first letter and length so only plausible pairs are compared
+     */
+    buildIndex(candidates) {
+        const index = new Map();
+
+        for (const candidate of candidates) {
+            const key = `${candidate.normalized[0]}:${candidate.normalized.length}`;
+            if (!index.has(key)) {
+                index.set(key, []);
+            }
+            index.get(key).push(candidate);
+        }
+
+        return index;
+    }
+
+    // Sound-aware similarity, so k/g, t/d and aa/å cost less than unrelated letters
+    similarity(a, b) {
+        return this.distance.similarity(a.normalized, b.normalized);
+    }
+
+    isPosCompatible(a, b) {
+        return !a.pos || !b.pos || a.pos === b.pos;
+    }
+
+    /**
+     * Best match for each word in the other language
+     */
+    findBestMatches(fromWords, toIndex) {
+        const matches = new Map();
+
+        for (const candidate of fromWords) {
+            let best = null;
+
+            for (let offset = -this.maxLengthDifference; offset <= this.maxLengthDifference; offset++) {
+                const bucket = toIndex.get(`${candidate.normalized[0]}:${candidate.normalized.length + offset}`) || [];
+
+                for (const other of bucket) {
+                    const similarity = this.similarity(candidate, other);
+                    if (similarity < this.minSimilarity) continue;
+
+                    // Same form and part of speech beat a mere look-alike; frequency breaks ties
+                    const score = similarity + (this.isPosCompatible(candidate, other) ? 0.1 : 0);
+                    if (!best || score > best.score ||
+                        (score === best.score && other.frequency > best.other.frequency)) {
+                        best = { other, similarity, score };
+                    }
+                }
+            }
+
+            if (best) {
+                matches.set(candidate, best);
+            }
+        }
+
+        return matches;
+    }
+
+    /**
+     * Group words into candidate cognate sets from mutual best matches
+     */
+    cluster(sourceData) {
+        const words = this.collectWords(sourceData);
+        const indexes = {};
+        for (const lang of this.languages) {
+            indexes[lang] = this.buildIndex(words[lang]);
+        }
+
+        // Mutual best matches between every pair of languages
+        const links = new Map();
+        const link = (a, b, similarity) => {
+            for (const [from, to] of [[a, b], [b, a]]) {
+                if (!links.has(from)) links.set(from, []);
+                links.get(from).push({ other: to, similarity });
+            }
+        };
+
+        for (let i = 0; i < this.languages.length; i++) {
+            for (let j = i + 1; j < this.languages.length; j++) {
+                const forward = this.findBestMatches(words[this.languages[i]], indexes[this.languages[j]]);
+                const backward = this.findBestMatches(words[this.languages[j]], indexes[this.languages[i]]);
+
+                for (const [candidate, match] of forward) {
+                    const reverse = backward.get(match.other);
+                    if (reverse && reverse.other === candidate) {
+                        link(candidate, match.other, match.similarity);
+                    }
+                }
+            }
+        }
+
+        // Connected components of the link graph are the candidate sets
+        const visited = new Set();
+        const clusters = [];
+
+        for (const start of links.keys()) {
+            if (visited.has(start)) continue;
+
+            const members = [];
+            const queue = [start];
+            visited.add(start);
+            while (queue.length > 0) {
+                const current = queue.shift();
+                members.push(current);
+                for (const { other } of links.get(current)) {
+                    if (!visited.has(other)) {
+                        visited.add(other);
+                        queue.push(other);
+                    }
+                }
+            }
+
+            clusters.push(this.scoreCluster(members));
+        }
+
+        return clusters;
+    }
+
+    /**
+     * Confidence from form similarity, part-of-speech agreement and frequency balance
+     */
+    scoreCluster(members) {
+        const similarities = [];
+        let posAgreement = true;
+        let frequencyBalance = 1;
+
+        for (let i = 0; i < members.length; i++) {
+            for (let j = i + 1; j < members.length; j++) {
+                similarities.push(this.similarity(members[i], members[j]));
+                posAgreement = posAgreement && this.isPosCompatible(members[i], members[j]);
+
+                const [low, high] = [members[i].frequency, members[j].frequency]
+                    .map(frequency => Math.log10(frequency + 10))
+                    .sort((a, b) => a - b);
+                frequencyBalance = Math.min(frequencyBalance, low / high);
+            }
+        }
+
+        const similarity = similarities.reduce((sum, value) => sum + value, 0) / similarities.length;
+        const languages = new Set(members.map(member => member.lang));
+        const issues = [];
+
+        if (languages.size < members.length) issues.push('several words from one language');
+        if (!posAgreement) issues.push('part of speech disagrees');
+        if (members.some(member => member.word.length < this.minConfidentLength)) issues.push('short word');
+
+        const confidence = similarity * (posAgreement ? 1 : 0.8) * (0.8 + 0.2 * frequencyBalance);
+
+        return {
+            words: members.map(({ word, lang, pos, frequency }) => ({ word, lang, pos, frequency })),
+            similarity: Math.round(similarity * 1000) / 1000,
+            confidence: Math.round(confidence * 1000) / 1000,
+            issues,
+            certain: issues.length === 0 && confidence >= this.minConfidence
+        };
+    }
+
+    /**
+     * A gloss is usable when it is a short English translation rather than a
+     * definition or the untranslated source word
+     */
+    isUsableGloss(gloss, word, aligner) {
+        const normalized = aligner.normalizeGloss(gloss);
+        return Boolean(normalized) &&
+            normalized !== word &&
+            normalized.split(' ').length <= aligner.maxGlossWords;
+    }
+
+    /**
+     * Add cognates to concepts that miss a language
+     *
+     * A concept is extended with a word from a confident cluster when it
+     * already holds another member of that cluster and lacks the word's
+     * language. If the word carries a different usable English gloss, only an
+     * identical form with the same part of speech is trusted, and its own
+     * concept is kept as a separate sense; otherwise the word's one-language
+     * concept is absorbed. Returns the uncertain clusters that touched
+     * incomplete concepts.
+     */
+    extendConcepts(concepts, clusters, aligner) {
+        const conceptsByWord = new Map();
+        for (const [key, concept] of concepts) {
+            for (const [lang, translation] of Object.entries(concept.translations)) {
+                const id = `${lang}:${translation.word.toLowerCase()}`;
+                if (!conceptsByWord.has(id)) conceptsByWord.set(id, []);
+                conceptsByWord.get(id).push(key);
+            }
+        }
+
+        const review = [];
+        let extended = 0;
+
+        for (const cluster of clusters) {
+            const keys = new Set();
+            cluster.words.forEach(member => {
+                (conceptsByWord.get(`${member.lang}:${member.word}`) || []).forEach(key => keys.add(key));
+            });
+
+            // The best-covered concept containing a member receives the others
+            const target = Array.from(keys)
+                .filter(key => concepts.has(key))
+                .sort((a, b) =>
+                    Object.keys(concepts.get(b).translations).length - Object.keys(concepts.get(a).translations).length ||
+                    concepts.get(b).alignment.confidence - concepts.get(a).alignment.confidence
+                )[0];
+            if (!target) continue;
+
+            const concept = concepts.get(target);
+            const anchor = cluster.words.find(member => concept.translations[member.lang]);
+            const missing = cluster.words
+                .filter(member => !concept.translations[member.lang])
+                .map(member => {
+                    const ownKeys = (conceptsByWord.get(`${member.lang}:${member.word}`) || []).filter(key => concepts.has(key));
+                    const own = ownKeys.length > 0 ? concepts.get(ownKeys[0]).translations[member.lang] : null;
+                    const glossConflict = Boolean(own) &&
+                        this.isUsableGloss(own.gloss, member.word, aligner) &&
+                        aligner.normalizeGloss(own.gloss) !== concept.english;
+                    const trusted = !glossConflict || (
+                        anchor && this.normalize(anchor.word) === this.normalize(member.word) &&
+                        member.pos && member.pos === anchor.pos
+                    );
+                    return { member, ownKeys, own, glossConflict, trusted };
+                });
+            if (missing.length === 0) continue;
+
+            if (!cluster.certain || missing.some(item => !item.trusted)) {
+                const issues = missing.some(item => !item.trusted)
+                    ? [...cluster.issues, 'English glosses differ']
+                    : cluster.issues;
+                review.push({ concept: concept.english, ...cluster, issues });
+                continue;
+            }
+
+            for (const { member, ownKeys, own, glossConflict } of missing) {
+                concept.translations[member.lang] = {
+                    word: own ? own.word : member.word,
+                    pos: member.pos,
+                    gender: own ? own.gender : null,
+                    frequency: member.frequency,
+                    gloss: own ? own.gloss : null
+                };
+                concept.alignment.methods[member.lang] = 'form';
+
+                if (glossConflict) continue;
+
+                for (const key of ownKeys) {
+                    if (key !== target && Object.keys(concepts.get(key).translations).length === 1) {
+                        concepts.delete(key);
+                    }
+                }
+            }
+
+            concept.alignment = aligner.scoreAlignment(concept.translations, concept.alignment.methods, concept.alignment.homonym);
+            extended++;
+        }
+
+        return { extended, review };
+    }
+
+    /**
+     * Write uncertain clusters for manual review
+     */
+    async writeReview(review) {
+        await fs.mkdir(path.dirname(this.reviewFile), { recursive: true });
+
+        const sorted = [...review].sort((a, b) => b.confidence - a.confidence || a.concept.localeCompare(b.concept));
+        await fs.writeFile(this.reviewFile, JSON.stringify({
+            description: 'Cognate clusters found by form similarity that were not applied automatically. Confirm them by adding gloss synonyms or overrides.',
+            count: sorted.length,
+            clusters: sorted
+        }, null, 2));
+    }
+}
+
+module.exports = CognateClusterer;
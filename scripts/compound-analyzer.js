@@ -0,0 +1,227 @@
+#!/usr/bin/env node
+
+const natural = require('natural');
+const CompoundSplitter = require('../src/js/nordum/compounds');
+const PhonologicalDistance = require('../src/js/nordum/phonological-distance');
+
+/**
+ * Nordum Compound Analyzer
+ *
+ * Source compounds ("arbeidsdag", "arbejdsdag", "arbetsdag") are decomposed
+ * against their own language's lexicon, and the Nordum compound is rebuilt
+ * from the Nordum forms selected for the parts, so that compounds never
+ * diverge from the words they are made of. When the languages decompose a
+ * concept differently, the rebuild most languages agree on wins.
+ *
+ * Rebuilding harmonizes spelling, never the lexical choice: only source words
+ * that are cognates of the selected form are decomposed. A part only counts
+ * when its Nordum form spells the source part letter for letter or through
+ * tabled sound correspondences (hem/hjem), so a concept that selected another
+ * word (barn → baby) does not leak into compounds. Parts map to the Nordum
+ * forms of base-form concepts only, never to plurals (meters → metar). Nouns
+ * and adjectives are decomposed; verbs, whose split-offs are prefixes (för-,
+ * under-) or inflections (fort+alt), are left to derivation. The head must
+ * share the compound's part of speech, and most of the cognate sources,
+ * including the one the headword was selected from, must split the same way
+ * (Danish vin+due alone does not make vindue a compound).
+ */
+class CompoundAnalyzer {
+    constructor(options = {}) {
+        this.languages = options.languages || ['norwegian', 'danish', 'swedish'];
+        this.splitter = options.splitter || new CompoundSplitter();
+        this.normalize = options.normalize || (word => word.toLowerCase());
+        this.loanwords = options.loanwords || new Set();
+        this.distance = options.distance || new PhonologicalDistance();
+        this.compoundPOS = new Set(['noun', 'adjective']);
+        this.minCompoundLength = 6;
+        this.minSimilarity = 0.5;
+
+        // Affixes and endings that happen to be words too (het "hot", ler "clay", lige "just", för "before")
+        this.nonHeads = new Set(['het', 'hed', 'ende', 'dom', 'skap', 'skab', 'else', 'lig', 'sam', 'inde', 'inna', 'ler', 'lar', 'der', 'ter', 'lige', 'mere', 'ring']);
+        this.nonModifiers = new Set(['for', 'før', 'för', 'fore', 'före', 'til', 'till', 'under', 'over', 'över', 'mis', 'miss', 'van', 'vel', 'väl']);
+        this.inflectionEndings = ['e', 't', 'n', 'r', 'en', 'et', 'er', 'ne', 'ene', 'erne', 'ar', 'or', 'na', 'arna'];
+        this.closedClassPOS = new Set(['preposition', 'pronoun', 'conjunction', 'determiner', 'article']);
+    }
+
+    /**
+     * Parts of speech of every source word per language
+     */
+    buildLexicons(sourceData) {
+        const lexicons = {};
+        for (const lang of this.languages) {
+            lexicons[lang] = new Map();
+            for (const entry of sourceData[lang] || []) {
+                const word = (entry.word || '').toLowerCase().trim();
+                if (!word) continue;
+                if (!lexicons[lang].has(word)) {
+                    lexicons[lang].set(word, new Set());
+                }
+                if (entry.pos) lexicons[lang].get(word).add(entry.pos);
+            }
+        }
+        return lexicons;
+    }
+
+    /**
+     * Nordum form selected for each source word, from its most frequent base-form concept
+     */
+    mapSourceWords(selections, glosses) {
+        const nordumBySource = new Map();
+
+        for (const { english, translations, nordumForm } of selections) {
+            const gloss = (english || '').toLowerCase();
+            if (gloss.startsWith('the ') || this.isInflectedGloss(gloss, glosses)) continue;
+
+            for (const [lang, translation] of Object.entries(translations)) {
+                const key = `${lang}:${translation.word.toLowerCase()}`;
+                const existing = nordumBySource.get(key);
+                if (!existing || translation.frequency > existing.frequency) {
+                    nordumBySource.set(key, { nordum: nordumForm, english, frequency: translation.frequency });
+                }
+            }
+        }
+
+        return nordumBySource;
+    }
+
+    // "meters" and "windows" are plurals of the concepts "meter" and "window"; their forms are no part bases
+    isInflectedGloss(gloss, glosses) {
+        const bases = [
+            gloss.replace(/ies$/, 'y'),
+            gloss.replace(/es$/, ''),
+            gloss.replace(/s$/, ''),
+            gloss.replace(/ed$/, ''),
+            gloss.replace(/d$/, '')
+        ];
+        return bases.some(base => base !== gloss && glosses.has(base));
+    }
+
+    /**
+     * Rebuild compound selections from the Nordum forms of their parts
+     *
+     * Each selection is { english, translations, nordumForm }. Compounds get a
+     * `compound` description ({ parts, links, elided, languages }) and, when the
+     * rebuild differs, a new nordumForm. Returns the number of compounds and
+     * of rebuilt forms.
+     */
+    rebuild(selections, sourceData) {
+        const lexicons = this.buildLexicons(sourceData);
+        const glosses = new Set(selections.map(selection => (selection.english || '').toLowerCase()));
+        const nordumBySource = this.mapSourceWords(selections, glosses);
+        let compounds = 0;
+        let rebuilt = 0;
+
+        for (const selection of selections) {
+            const english = (selection.english || '').toLowerCase();
+            if (this.loanwords.has(english) || english.startsWith('the ') || this.isInflectedGloss(english, glosses)) continue;
+
+            const candidates = new Map();
+            const cognates = [];
+
+            for (const lang of this.languages) {
+                const translation = selection.translations[lang];
+                if (!translation) continue;
+
+                const word = translation.word.toLowerCase();
+                if (this.similarity(word, selection.nordumForm) < this.minSimilarity) continue;
+                cognates.push(lang);
+
+                // English words (rosemary) are not split into Scandinavian parts
+                if (word.length < this.minCompoundLength || word === english || !this.compoundPOS.has(translation.pos)) continue;
+                if (this.isInflectedForm(word, translation.pos, lexicons[lang])) continue;
+
+                const split = this.splitter.split(word, part => part !== word && lexicons[lang].has(part));
+                if (!split || !this.isValidSplit(split, translation.pos, lexicons[lang])) continue;
+
+                const mapped = split.parts.map(part => nordumBySource.get(`${lang}:${part}`) || {});
+                const parts = mapped.map(part => part.nordum);
+                if (parts.some((part, i) => !part || !this.isCognatePart(part, split.parts[i]))) continue;
+
+                const form = this.splitter.join(parts, split.links, split.elided);
+                if (!candidates.has(form)) {
+                    candidates.set(form, {
+                        parts, links: split.links, elided: split.elided, languages: [],
+                        glossed: this.sharesGloss(english, mapped.map(part => part.english))
+                    });
+                }
+                candidates.get(form).languages.push(lang);
+            }
+
+            // Most languages first, then the form already selected; ties keep the language order
+            const [best] = Array.from(candidates.entries())
+                .sort((a, b) =>
+                    b[1].languages.length - a[1].languages.length ||
+                    (b[0] === selection.nordumForm) - (a[0] === selection.nordumForm)
+                );
+            if (!best || best[1].languages.length * 2 <= cognates.length) continue;
+            if (best[1].languages.length < 2 && !best[1].glossed) continue;
+            if (!best[1].languages.includes(this.selectedLanguage(selection, cognates))) continue;
+
+            const [form, { glossed, ...compound }] = best;
+            selection.compound = compound;
+            compounds++;
+
+            if (form !== selection.nordumForm) {
+                selection.nordumForm = form;
+                rebuilt++;
+            }
+        }
+
+        return { compounds, rebuilt };
+    }
+
+    // The head carries the compound's part of speech: arbeidsdag is a noun because dag is
+    isValidSplit(split, pos, lexicon) {
+        const head = split.parts[split.parts.length - 1];
+        const headPOS = lexicon.get(head);
+        if (this.nonHeads.has(head) || (pos && headPOS.size > 0 && !headPOS.has(pos))) return false;
+
+        // Pronouns and prepositions split off by chance (han+del, fort+alt)
+        if (split.parts.some(part => [...lexicon.get(part)].some(partPOS => this.closedClassPOS.has(partPOS)))) return false;
+
+        return split.parts.slice(0, -1).every(part => !this.nonModifiers.has(part));
+    }
+
+    // Plurals, definite and agreement forms and participles are compounded in their base form
+    // (vinduer → vindue, hellige → hellig, baseret → basere)
+    isInflectedForm(word, pos, lexicon) {
+        const hasBase = (ending, basePOS, restored = '') => {
+            const base = word.endsWith(ending) && lexicon.get(word.slice(0, -ending.length) + restored);
+            return Boolean(base && base.has(basePOS));
+        };
+
+        return this.inflectionEndings.some(ending => hasBase(ending, pos)) || hasBase('et', 'verb', 'e');
+    }
+
+    // A split one language alone makes needs a part whose gloss begins or ends a word of the compound's
+    // gloss (fødsel+dag "birthday", not kul+tur "culture")
+    sharesGloss(english, partGlosses) {
+        const words = english.split(/[\s,;()-]+/);
+        return partGlosses.some(gloss => (gloss || '').toLowerCase().split(/[\s,;()]+/)
+            .some(part => part.length >= 3 && words.some(word => word.startsWith(part) || word.endsWith(part))));
+    }
+
+    // The source language whose word is closest to the selected headword
+    selectedLanguage(selection, languages) {
+        const [closest] = languages
+            .map(lang => ({ lang, similarity: this.similarity(selection.translations[lang].word, selection.nordumForm) }))
+            .sort((a, b) => b.similarity - a.similarity);
+        return closest && closest.lang;
+    }
+
+    // Identical after normalization, or differing only by tabled or learned sound correspondences (hem/hjem, bog/bok)
+    isCognatePart(nordumPart, sourcePart) {
+        if (this.normalize(nordumPart) === this.normalize(sourcePart)) return true;
+
+        const { alignment } = this.distance.compute(nordumPart, sourcePart);
+        return alignment.every(step => step.a === step.b ||
+            (step.a && step.b && this.distance.substitutions.has(this.distance.key(step.a, step.b))));
+    }
+
+    similarity(a, b) {
+        const [first, second] = [this.normalize(a), this.normalize(b)];
+        return 1 - natural.LevenshteinDistance(first, second) / Math.max(first.length, second.length);
+    }
+}
+
+module.exports = CompoundAnalyzer;
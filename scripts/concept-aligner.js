@@ -0,0 +1,303 @@
+#!/usr/bin/env node
+
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Nordum Concept Aligner
+ *
+ * Groups source-language entries into shared concepts before Nordum forms are
+ * selected. Importers describe words with free-form English glosses ("the
+ * day", "to work", "big, large"), so glosses are normalized, multi-gloss
+ * definitions and known synonyms are merged, and English homonyms are split by
+ * part of speech. Every concept carries an alignment confidence.
+ */
+class ConceptAligner {
+    constructor(options = {}) {
+        this.synonymsFile = options.synonymsFile ||
+            path.join(__dirname, '../data/dictionary/gloss-synonyms.json');
+        this.languages = options.languages || ['norwegian', 'danish', 'swedish'];
+        this.synonymGroups = [];
+
+        // Longer glosses are definitions rather than translations and are not split
+        this.maxGlossWords = 3;
+        this.maxGlossParts = 3;
+
+        // Longest ending an inflected form adds to its word (god → godene)
+        this.maxInflectionLength = 3;
+
+        this.methodScores = { exact: 1.0, normalized: 0.9, form: 0.8, synonym: 0.7 };
+    }
+
+    /**
+     * Load curated synonym groups
+     */
+    async init() {
+        try {
+            const data = JSON.parse(await fs.readFile(this.synonymsFile, 'utf8'));
+            this.synonymGroups = data.groups || [];
+        } catch (error) {
+            console.warn(`Could not load gloss synonyms: ${error.message}`);
+            this.synonymGroups = [];
+        }
+    }
+
+    /**
+     * Reduce a gloss to its comparable core: "To Work" → "work", "the day's" → "day"
+     */
+    normalizeGloss(gloss) {
+        if (!gloss || typeof gloss !== 'string') return null;
+
+        const normalized = gloss.toLowerCase()
+            .replace(/\([^)]*\)/g, ' ')        // (pronoun), (informal)
+            .replace(/['’]s\b/g, '')           // possessives
+            .replace(/^\s*(to|the|a|an)\s+/, '')
+            .replace(/[.!?"]+/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+
+        return normalized || null;
+    }
+
+    /**
+     * Split a multi-gloss definition ("big, large; great") into normalized glosses
+     */
+    splitGlosses(gloss) {
+        const whole = this.normalizeGloss(gloss);
+        if (!whole) return [];
+
+        const parts = gloss.split(/[;,/]/)
+            .map(part => this.normalizeGloss(part))
+            .filter(Boolean);
+
+        const isShortList = parts.length > 1 &&
+            parts.length <= this.maxGlossParts &&
+            parts.every(part => part.split(' ').length <= this.maxGlossWords);
+
+        return isShortList ? [...new Set(parts)] : [whole];
+    }
+
+    /**
+     * Align source entries into concepts
+     *
+     * Returns a Map of concept key → { english, translations, alignment } where
+     * translations has the same shape the builder has always used.
+     */
+    align(sourceData) {
+        const glossEntries = [];
+        const parent = new Map();
+
+        const find = (key) => {
+            if (!parent.has(key)) parent.set(key, key);
+            let root = key;
+            while (parent.get(root) !== root) root = parent.get(root);
+            parent.set(key, root);
+            return root;
+        };
+        const union = (a, b) => {
+            const rootA = find(a);
+            const rootB = find(b);
+            if (rootA !== rootB) parent.set(rootB, rootA);
+        };
+
+        // 1. Normalize every gloss, linking the parts of multi-gloss definitions
+        for (const [lang, entries] of Object.entries(sourceData)) {
+            for (const entry of entries) {
+                const glosses = this.splitGlosses(entry.english);
+                if (glosses.length === 0) continue;
+
+                glosses.forEach(gloss => find(gloss));
+                glosses.slice(1).forEach(gloss => union(glosses[0], gloss));
+
+                glossEntries.push({ lang, entry, glosses });
+            }
+        }
+
+        // 2. Curated synonyms join concepts that importers glossed differently
+        for (const group of this.synonymGroups) {
+            const present = group.map(gloss => this.normalizeGloss(gloss)).filter(gloss => parent.has(gloss));
+            present.slice(1).forEach(gloss => union(present[0], gloss));
+        }
+
+        // 3. Collect entries per concept cluster
+        const clusters = new Map();
+        for (const item of glossEntries) {
+            const root = find(item.glosses[0]);
+            if (!clusters.has(root)) {
+                clusters.set(root, []);
+            }
+            clusters.get(root).push(item);
+        }
+
+        const concepts = new Map();
+        for (const items of clusters.values()) {
+            const label = this.selectLabel(items);
+
+            for (const [pos, posItems] of this.splitByPartOfSpeech(items)) {
+                const key = pos ? `${label} (${pos})` : label;
+                concepts.set(key, this.buildConcept(label, posItems, items.length > posItems.length));
+            }
+        }
+
+        return concepts;
+    }
+
+    /**
+     * The gloss used by most entries names the concept
+     */
+    selectLabel(items) {
+        const counts = new Map();
+        for (const item of items) {
+            for (const gloss of item.glosses) {
+                counts.set(gloss, (counts.get(gloss) || 0) + 1);
+            }
+        }
+
+        return Array.from(counts.entries())
+            .sort((a, b) => b[1] - a[1] || a[0].length - b[0].length || a[0].localeCompare(b[0]))[0][0];
+    }
+
+    /**
+     * Split English homonyms ("work" the noun vs. "work" the verb) by part of speech
+     *
+     * A split needs two languages that each have different words for the
+     * same two parts of speech, so that the sources agree there are two
+     * senses. One word tagged twice, or its inflected form tagged as another
+     * part of speech (Danish træt adjective, trætte "noun"), is importer noise.
+     * Each resulting sense must be attested in at least two languages, and the
+     * main sense must keep every language of the concept.
+     */
+    splitByPartOfSpeech(items) {
+        const wordsByLanguage = new Map();
+        for (const item of items) {
+            if (!item.entry.pos) continue;
+            if (!wordsByLanguage.has(item.lang)) {
+                wordsByLanguage.set(item.lang, []);
+            }
+            wordsByLanguage.get(item.lang).push({ word: item.entry.word.toLowerCase(), pos: item.entry.pos });
+        }
+
+        // Parts of speech with a word of their own, unrelated to the other tags, in at least two languages
+        const homonymLanguages = new Map();
+        for (const words of wordsByLanguage.values()) {
+            const distinct = new Set(words
+                .filter(({ word, pos }) => words.every(other => other.pos === pos || !this.isSameWord(word, other.word)))
+                .map(({ pos }) => pos));
+            if (distinct.size < 2) continue;
+            distinct.forEach(pos => homonymLanguages.set(pos, (homonymLanguages.get(pos) || 0) + 1));
+        }
+        const homonymPOS = new Set(Array.from(homonymLanguages)
+            .filter(([, languages]) => languages >= 2)
+            .map(([pos]) => pos));
+
+        if (homonymPOS.size < 2) {
+            return new Map([[null, items]]);
+        }
+
+        const countLanguages = (group) => new Set(group.map(item => item.lang)).size;
+        const groups = new Map();
+        for (const pos of homonymPOS) {
+            const group = items.filter(item => item.entry.pos === pos);
+            if (countLanguages(group) >= 2) {
+                groups.set(pos, group);
+            }
+        }
+
+        if (groups.size < 2) {
+            return new Map([[null, items]]);
+        }
+
+        // Entries with another tag join the best-covered sense
+        const primary = Array.from(groups.keys()).sort((a, b) =>
+            countLanguages(groups.get(b)) - countLanguages(groups.get(a)) || groups.get(b).length - groups.get(a).length
+        )[0];
+        if (countLanguages(groups.get(primary)) < countLanguages(items)) {
+            return new Map([[null, items]]);
+        }
+
+        for (const item of items) {
+            if (!groups.has(item.entry.pos)) {
+                groups.get(primary).push(item);
+            }
+        }
+
+        return groups;
+    }
+
+    // One word or an inflected form of it (træt/trætte, god/gode)
+    isSameWord(a, b) {
+        const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+        return longer.startsWith(shorter) && longer.length - shorter.length <= this.maxInflectionLength;
+    }
+
+    /**
+     * Pick one word per language and score how well the concept lines up
+     */
+    buildConcept(label, items, isHomonym) {
+        const translations = {};
+        const methods = {};
+
+        for (const lang of this.languages) {
+            const candidates = items.filter(item => item.lang === lang);
+            if (candidates.length === 0) continue;
+
+            // Prefer a word glossed exactly as the concept, then the most frequent
+            const ranked = candidates
+                .map(item => ({ item, method: this.getMatchMethod(item, label) }))
+                .sort((a, b) =>
+                    this.methodScores[b.method] - this.methodScores[a.method] ||
+                    (parseInt(b.item.entry.frequency) || 0) - (parseInt(a.item.entry.frequency) || 0)
+                );
+
+            const { item, method } = ranked[0];
+            translations[lang] = {
+                word: item.entry.word,
+                pos: item.entry.pos,
+                gender: item.entry.gender,
+                frequency: parseInt(item.entry.frequency) || 0,
+                gloss: item.entry.english
+            };
+            methods[lang] = method;
+        }
+
+        return {
+            english: label,
+            translations,
+            alignment: this.scoreAlignment(translations, methods, isHomonym)
+        };
+    }
+
+    getMatchMethod(item, label) {
+        if (item.entry.english.trim().toLowerCase() === label) return 'exact';
+        if (item.glosses.includes(label)) return 'normalized';
+        return 'synonym';
+    }
+
+    /**
+     * Confidence from language coverage, gloss agreement and part-of-speech agreement
+     */
+    scoreAlignment(translations, methods, isHomonym) {
+        const languages = Object.keys(translations);
+        const coverage = languages.length / this.languages.length;
+
+        const glossScore = languages.reduce((sum, lang) => sum + this.methodScores[methods[lang]], 0) / languages.length;
+
+        const posCounts = {};
+        languages.forEach(lang => {
+            const pos = translations[lang].pos || 'unknown';
+            posCounts[pos] = (posCounts[pos] || 0) + 1;
+        });
+        const posScore = Math.max(...Object.values(posCounts)) / languages.length;
+
+        const confidence = 0.5 * coverage + 0.25 * glossScore + 0.25 * posScore;
+
+        return {
+            confidence: Math.round(confidence * 1000) / 1000,
+            languages: languages.length,
+            methods,
+            homonym: isHomonym
+        };
+    }
+}
+
+module.exports = ConceptAligner;
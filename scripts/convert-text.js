@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+
+const fs = require('fs').promises;
+const path = require('path');
+const NordumConverter = require('../src/js/nordum/converter');
+
+/**
+ * Convert Bokmål, Danish or Swedish text to Nordum from the command line
+ *
+ * Usage:
+ *   node scripts/convert-text.js --from=danish "Hvad hedder du?"
+ *   cat text.txt | node scripts/convert-text.js --from=swedish
+ */
+async function loadDictionary(dictionaryPath) {
+    try {
+        const data = await fs.readFile(dictionaryPath, 'utf8');
+        return JSON.parse(data);
+    } catch (error) {
+        console.warn(`Could not load dictionary (${error.message}), using rules only`);
+        return null;
+    }
+}
+
+async function readStdin() {
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+async function main() {
+    let sourceLanguage = 'norwegian';
+    let dictionaryPath = path.join(__dirname, '../build/assets/data/dictionary.json');
+    const words = [];
+
+    process.argv.slice(2).forEach(arg => {
+        if (arg.startsWith('--from=')) {
+            sourceLanguage = arg.split('=')[1];
+        } else if (arg.startsWith('--dictionary=')) {
+            dictionaryPath = arg.split('=')[1];
+        } else {
+            words.push(arg);
+        }
+    });
+
+    const converter = new NordumConverter();
+
+    if (!converter.sourceLanguages.includes(sourceLanguage)) {
+        throw new Error(`Unsupported source language: ${sourceLanguage}. Use ${converter.sourceLanguages.join(', ')}.`);
+    }
+
+    const dictionary = await loadDictionary(dictionaryPath);
+    if (dictionary) {
+        converter.loadDictionary(dictionary);
+    }
+
+    const text = words.length > 0 ? words.join(' ') : await readStdin();
+    process.stdout.write(converter.convertText(text, sourceLanguage));
+    if (words.length > 0) process.stdout.write('\n');
+}
+
+// CLI interface
+if (require.main === module) {
+    main().catch(error => {
+        console.error('Conversion failed:', error.message);
+        process.exit(1);
+    });
+}
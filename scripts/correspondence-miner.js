@@ -0,0 +1,258 @@
+#!/usr/bin/env node
+
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Nordum Correspondence Miner
+ *
+ * Mines systematic spelling correspondences between the source languages from
+ * the aligned concepts, such as Danish -e against Swedish -a (kaste/kasta) or
+ * -dt against -tt (godt/gott). Every pair of related words is aligned with the
+ * phonological distance, and each run of differing letters is counted with its
+ * position in the word. Pairs that differ only by a definite or plural ending
+ * (natten/nat) are left out, as they pair different forms of one word. A
+ * correspondence is dominant when most word pairs that spell those letters
+ * differently follow it; the pairs that change them in another way are its
+ * exceptions. Dominant correspondences that the rules do not know yet are
+ * suggested as candidate rules in the format of sound-correspondences.json.
+ */
+class CorrespondenceMiner {
+    constructor(options = {}) {
+        this.languages = options.languages || ['norwegian', 'danish', 'swedish'];
+        this.distance = options.distance;
+        this.known = options.known || this.distance.correspondences;
+        this.reportFile = options.reportFile || path.join(__dirname, '../reports/sound-correspondences.json');
+
+        this.minSimilarity = 0.5;  // Below this, words are not taken to be cognates
+        this.minCount = 5;         // Rarer correspondences are not reported
+        this.minDominance = 0.6;   // Share of words a correspondence must cover to be dominant
+        this.maxExamples = 5;
+        this.maxExceptions = 20;
+
+        // Definite and plural endings: natten/nat and kontoret/kontor pair different forms, not different spellings
+        this.inflectionSuffixes = ['erne', 'arna', 'ene', 'ens', 'en', 'et', 'er', 'ar', 'na', 'ne'];
+        this.maxStemDistance = 1;
+        this.consonants = /^[bcdfghjklmnpqrstvwxz]+$/;
+    }
+
+    /**
+     * Mine the correspondences of every language pair from aligned concepts
+     */
+    mine(concepts) {
+        const pairs = {};
+        const candidates = [];
+        const flagged = [];
+
+        for (let i = 0; i < this.languages.length; i++) {
+            for (let j = i + 1; j < this.languages.length; j++) {
+                const [first, second] = [this.languages[i], this.languages[j]];
+                const aligned = this.alignPairs(concepts, first, second);
+                const correspondences = this.countCorrespondences(aligned, first, second);
+
+                for (const correspondence of correspondences) {
+                    if (!correspondence.dominant) continue;
+
+                    for (const exception of correspondence.exceptions) {
+                        flagged.push({
+                            ...exception,
+                            languages: [first, second],
+                            expected: `${correspondence.from || '∅'} → ${correspondence.to || '∅'} (${correspondence.position})`
+                        });
+                    }
+
+                    const candidate = this.toCandidate(correspondence, first, second);
+                    if (candidate) candidates.push(candidate);
+                }
+
+                pairs[`${first}-${second}`] = { aligned: aligned.length, correspondences };
+            }
+        }
+
+        return { pairs, candidates, flagged };
+    }
+
+    /**
+     * Related word pairs of two languages with their alignment
+     */
+    alignPairs(concepts, first, second) {
+        const aligned = [];
+
+        for (const concept of concepts) {
+            const a = concept.translations[first];
+            const b = concept.translations[second];
+            if (!a || !b) continue;
+
+            const { distance, length, alignment } = this.distance.compute(a.word, b.word);
+            if (length === 0 || 1 - distance / length < this.minSimilarity) continue;
+            if (this.differsByInflection(a.word, b.word)) continue;
+
+            aligned.push({
+                english: concept.english,
+                nordum: concept.nordumForm || null,
+                words: { [first]: a.word, [second]: b.word },
+                normalized: [this.distance.normalize(a.word), this.distance.normalize(b.word)],
+                runs: this.extractRuns(alignment)
+            });
+        }
+
+        return aligned;
+    }
+
+    /**
+     * Whether one word is the other with a definite or plural ending (natten/nat, skipet/skib)
+     */
+    differsByInflection(first, second) {
+        const [a, b] = [this.distance.normalize(first), this.distance.normalize(second)];
+
+        return [[a, b], [b, a]].some(([inflected, base]) => this.inflectionSuffixes.some(suffix =>
+            inflected.endsWith(suffix) && !base.endsWith(suffix) &&
+            inflected.length - suffix.length >= 2 &&
+            this.distance.distance(inflected.slice(0, -suffix.length), base) < this.maxStemDistance));
+    }
+
+    /**
+     * Join neighbouring differing letters into runs with their position in the word
+     */
+    extractRuns(alignment) {
+        const runs = [];
+        let current = null;
+
+        alignment.forEach((step, index) => {
+            if (step.a === step.b) {
+                current = null;
+                return;
+            }
+            if (!current) {
+                current = { from: '', to: '', start: index, end: index };
+                runs.push(current);
+            }
+            current.from += step.a;
+            current.to += step.b;
+            current.end = index;
+        });
+
+        // A consonant shared after a differing consonant closes a final cluster (-dt/-tt, not d/t);
+        // vowels are left alone (sjel/sjæl is medial e/æ)
+        for (const run of runs) {
+            const next = alignment[run.end + 1];
+            if (run.end === alignment.length - 2 && next.a.length === 1 &&
+                [run.from, run.to, next.a].every(letters => this.consonants.test(letters))) {
+                run.from += alignment[run.end + 1].a;
+                run.to += alignment[run.end + 1].b;
+                run.end++;
+            }
+        }
+
+        return runs
+            .filter(run => !(run.start === 0 && run.end === alignment.length - 1))
+            .map(run => ({
+                from: run.from,
+                to: run.to,
+                position: run.start === 0 ? 'initial' : (run.end === alignment.length - 1 ? 'final' : 'medial')
+            }));
+    }
+
+    countCorrespondences(aligned, first, second) {
+        const byKey = new Map();
+
+        for (const pair of aligned) {
+            for (const run of pair.runs) {
+                const key = `${run.from}|${run.to}|${run.position}`;
+                if (!byKey.has(key)) {
+                    byKey.set(key, { ...run, count: 0, pairs: new Set(), examples: [] });
+                }
+                const correspondence = byKey.get(key);
+                correspondence.count++;
+                correspondence.pairs.add(pair);
+                if (correspondence.examples.length < this.maxExamples) {
+                    correspondence.examples.push({ english: pair.english, ...pair.words });
+                }
+            }
+        }
+
+        return Array.from(byKey.values())
+            .filter(correspondence => correspondence.count >= this.minCount)
+            .map(correspondence => this.measureDominance(correspondence, aligned))
+            .sort((a, b) => b.count - a.count);
+    }
+
+    /**
+     * Share of the pairs spelling these letters differently that follow the correspondence
+     */
+    measureDominance(correspondence, aligned) {
+        // Insertions are measured on the side that has the letters
+        const side = correspondence.from ? 0 : 1;
+        const letters = correspondence.from || correspondence.to;
+
+        const applicable = aligned.filter(pair =>
+            this.hasAt(pair.normalized[side], letters, correspondence.position) &&
+            !this.hasAt(pair.normalized[1 - side], letters, correspondence.position));
+        const exceptions = applicable.filter(pair => !correspondence.pairs.has(pair));
+        const dominance = applicable.length > 0
+            ? Math.min(1, correspondence.count / applicable.length)
+            : 0;
+
+        const { pairs, ...rest } = correspondence;
+        const dominant = dominance >= this.minDominance;
+        return {
+            ...rest,
+            dominance: Math.round(dominance * 1000) / 1000,
+            dominant,
+            exceptionCount: exceptions.length,
+            exceptions: dominant
+                ? exceptions.slice(0, this.maxExceptions).map(pair => ({
+                    english: pair.english,
+                    nordum: pair.nordum,
+                    ...pair.words
+                }))
+                : []
+        };
+    }
+
+    hasAt(word, letters, position) {
+        if (position === 'initial') return word.startsWith(letters);
+        if (position === 'final') return word.endsWith(letters);
+
+        const index = word.indexOf(letters, 1);
+        return index > 0 && index + letters.length < word.length;
+    }
+
+    /**
+     * A rule for sound-correspondences.json, unless the rules already know it
+     */
+    toCandidate(correspondence, first, second) {
+        const { from, to, position, count, dominance, examples } = correspondence;
+        if (!from || !to) return null;
+
+        const isKnown = this.known.some(({ a, b }) => (a === from && b === to) || (a === to && b === from));
+        if (isKnown) return null;
+
+        const example = examples[0];
+        return {
+            a: from,
+            b: to,
+            cost: Math.max(0.1, Math.round((1 - dominance) * 10) / 10),
+            note: `${this.capitalize(first)} ${from} against ${this.capitalize(second)} ${to}, ${position} ` +
+                `(${example[first]}/${example[second]}); ${count} pairs, dominance ${dominance}`
+        };
+    }
+
+    capitalize(word) {
+        return word.charAt(0).toUpperCase() + word.slice(1);
+    }
+
+    async writeReport(result) {
+        await fs.mkdir(path.dirname(this.reportFile), { recursive: true });
+
+        await fs.writeFile(this.reportFile, JSON.stringify({
+            description: 'Spelling correspondences between the source languages mined from the aligned concepts. Candidates are dominant correspondences missing from data/rules/sound-correspondences.json; flagged entries are words that break a dominant correspondence.',
+            generated: new Date().toISOString(),
+            candidates: result.candidates,
+            flagged: result.flagged,
+            pairs: result.pairs
+        }, null, 2));
+    }
+}
+
+module.exports = CorrespondenceMiner;
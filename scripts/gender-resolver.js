@@ -0,0 +1,267 @@
+#!/usr/bin/env node
+
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Nordum Gender Resolver
+ *
+ * Assigns noun gender following spec §4.3.3 instead of a weighted vote alone:
+ *
+ * 1. suffix rules (-het, -skap common; -ande, -ende neuter for nouns derived
+ *    from a verb) and the gender of a derivational suffix (åpning ← åpne)
+ *    decide first
+ * 2. sources that agree decide next; every source language has one vote.
+ *    Loanwords count only the sources that use them and are otherwise common
+ * 3. materials and collectives are neuter, as are infinitives used as nouns
+ *    (a verb form glossed as an English -ing noun)
+ * 4. the head of a compound (arbeids|dag) lends its gender
+ * 5. a majority of the sources
+ * 6. common, the gender of most concrete objects
+ *
+ * Every resolution carries its reason. Suffix and semantic rules that
+ * contradict the sources, and source votes that tie, are queued for review.
+ */
+class GenderResolver {
+    constructor(options = {}) {
+        this.languages = options.languages || ['norwegian', 'danish', 'swedish'];
+        this.normalizeGender = options.normalizeGender || (gender => gender || null);
+        this.rulesFile = options.rulesFile || path.join(__dirname, '../data/rules/gender.json');
+        this.reviewFile = options.reviewFile || path.join(__dirname, '../reports/gender-review.json');
+
+        this.defaultGender = 'common';
+        this.suffixes = [];
+        this.semantic = new Map();
+        this.nouns = new Map();
+        this.nounForms = new Set();
+        this.verbs = new Set();
+        this.review = [];
+    }
+
+    /**
+     * Load the suffix rules and semantic classes
+     */
+    async init() {
+        try {
+            const data = JSON.parse(await fs.readFile(this.rulesFile, 'utf8'));
+            this.defaultGender = data.default || 'common';
+            this.suffixes = (data.suffixes || []).sort((a, b) => b.suffix.length - a.suffix.length);
+            this.semantic = new Map();
+            for (const group of data.semantic || []) {
+                for (const gloss of group.glosses) {
+                    this.semantic.set(gloss, group);
+                }
+            }
+        } catch (error) {
+            console.warn(`Could not load gender rules: ${error.message}`);
+        }
+    }
+
+    /**
+     * Remember the Nordum nouns the sources agree on and all verbs, for head and infinitive lookup
+     *
+     * `selections` are the concepts with their Nordum form; `posOf(translations)`
+     * gives the part of speech the builder will choose.
+     */
+    index(selections, posOf) {
+        this.nouns = new Map();
+        this.nounForms = new Set();
+        this.verbs = new Set();
+        this.review = [];
+
+        const nouns = [];
+        for (const selection of selections) {
+            const pos = posOf(selection.translations);
+            if (pos === 'verb') {
+                this.verbs.add(selection.nordumForm);
+            } else if (pos === 'noun') {
+                this.nounForms.add(selection.nordumForm);
+                nouns.push(selection);
+            }
+        }
+
+        // Suffix rules look up verb bases and singulars, so nouns are indexed once all forms are known
+        for (const { nordumForm, translations } of nouns) {
+            const genders = new Set(Object.values(this.collectVotes(translations)));
+            const suffix = this.matchSuffix(nordumForm);
+            if (suffix && !(suffix.yieldsToAgreement && genders.size === 1)) {
+                this.nouns.set(nordumForm, suffix.gender);
+            } else if (genders.size === 1) {
+                this.nouns.set(nordumForm, [...genders][0]);
+            }
+        }
+    }
+
+    /**
+     * Gender of a noun as { gender, reason }
+     *
+     * `derivation` is the analysis of a derived noun ({ base, affix, gender }),
+     * `loanword` the loanword decision ({ languages }) of a kept or adapted loan.
+     */
+    resolve(nordumForm, translations, english = '', compound = null, derivation = null, loanword = null) {
+        const votes = this.collectVotes(translations);
+        const tally = {};
+        for (const gender of Object.values(votes)) {
+            tally[gender] = (tally[gender] || 0) + 1;
+        }
+        const ranked = Object.entries(tally).sort((a, b) => b[1] - a[1]);
+        const voters = Object.keys(votes);
+
+        const suffix = this.matchSuffix(nordumForm);
+        if (suffix && suffix.yieldsToAgreement && ranked.length === 1 && ranked[0][0] !== suffix.gender) {
+            // Person nouns in -ende (overlevende "survivor") keep the gender the sources agree on
+            return { gender: ranked[0][0], reason: `Sources agree (${voters.join(', ')}) against the -${suffix.suffix} rule` };
+        }
+        if (suffix) {
+            if (ranked.length > 0 && ranked[0][0] !== suffix.gender) {
+                this.queue(nordumForm, english, votes, suffix.gender, 'Suffix rule contradicts the sources');
+            }
+            return { gender: suffix.gender, reason: `${suffix.note}: -${suffix.suffix} is ${suffix.gender} (§4.3.3)` };
+        }
+
+        if (derivation && derivation.gender) {
+            if (ranked.length > 0 && ranked[0][0] !== derivation.gender) {
+                this.queue(nordumForm, english, votes, derivation.gender, 'Derivational suffix contradicts the sources');
+            }
+            return {
+                gender: derivation.gender,
+                reason: `Derived from ${derivation.base} with ${derivation.affix}, which makes ${derivation.gender} nouns`
+            };
+        }
+
+        // The native words of the other sources say nothing about the gender of the loan (computer ≠ datamaskin)
+        if (loanword) {
+            const used = loanword.languages.filter(lang => votes[lang]);
+            const genders = new Set(used.map(lang => votes[lang]));
+            if (genders.size === 1) {
+                return { gender: [...genders][0], reason: `Loanword with the gender of ${used.join(', ')}` };
+            }
+            if (genders.size > 1) {
+                this.queue(nordumForm, english, votes, this.defaultGender, 'Sources using the loanword disagree');
+            }
+            return { gender: this.defaultGender, reason: `Loanword without an agreed source gender; ${this.defaultGender} is the default` };
+        }
+
+        const semantic = this.matchSemantic(nordumForm, english);
+        if (ranked.length === 1) {
+            const [gender] = ranked[0];
+            // Homographs of verbs (bære 'bear') are no evidence against agreeing sources
+            if (semantic && semantic.glosses && semantic.gender !== gender) {
+                this.queue(nordumForm, english, votes, gender, `${semantic.note} are ${semantic.gender} (§4.3.3), but the sources agree on ${gender}`);
+            }
+            return {
+                gender,
+                reason: voters.length > 1 ? `Sources agree (${voters.join(', ')})` : `Source gender (${voters[0]})`
+            };
+        }
+
+        const tied = ranked.length > 1 && ranked[0][1] === ranked[1][1];
+        const settle = (gender, reason) => {
+            if (tied) this.queue(nordumForm, english, votes, gender, `Sources tie; ${reason.charAt(0).toLowerCase()}${reason.slice(1)}`);
+            return { gender, reason };
+        };
+
+        if (semantic) {
+            return settle(semantic.gender, `${semantic.note} are ${semantic.gender} (§4.3.3)`);
+        }
+
+        const head = this.findHead(nordumForm, compound);
+        if (head) {
+            return settle(head.gender, `Head of compound (${head.word}) is ${head.gender}`);
+        }
+
+        if (ranked.length > 0 && !tied) {
+            return { gender: ranked[0][0], reason: `Majority of sources (${ranked[0][1]} of ${voters.length})` };
+        }
+
+        return settle(this.defaultGender, voters.length > 0
+            ? `No rule decides; ${this.defaultGender} is the default (§4.3.3)`
+            : `No source gender; ${this.defaultGender} is the default for concrete objects (§4.3.3)`);
+    }
+
+    collectVotes(translations) {
+        const votes = {};
+        for (const lang of this.languages) {
+            const translation = translations[lang];
+            const gender = translation && this.normalizeGender(translation.gender);
+            if (gender === 'common' || gender === 'neuter') {
+                votes[lang] = gender;
+            }
+        }
+        return votes;
+    }
+
+    matchSuffix(word) {
+        return this.suffixes.find(rule =>
+            word.endsWith(rule.suffix) && word.length - rule.suffix.length >= (rule.minStem || 1) &&
+            (rule.base !== 'verb' || this.isVerbalNoun(word, rule.suffix))) || null;
+    }
+
+    /**
+     * Whether a noun in -ende/-ande is derived from a known verb (gående ← gå,
+     * overlevende ← overleve) rather than being a verb itself (anvende) or the
+     * plural of a noun (genstande ← genstand)
+     */
+    isVerbalNoun(word, suffix) {
+        if (this.verbs.has(word) || this.nounForms.has(word.slice(0, -1)) || this.nounForms.has(word.slice(0, -2))) {
+            return false;
+        }
+
+        const stem = word.slice(0, -suffix.length);
+        return [stem, `${stem}e`, `${stem}a`].some(base => this.verbs.has(base));
+    }
+
+    /**
+     * Semantic class of a noun, including infinitives used as nouns
+     *
+     * A noun spelled like a verb only counts as an infinitive when its gloss is
+     * an English verbal noun (å lese "reading"); skal "shell" and bek "pitch"
+     * are plain homographs.
+     */
+    matchSemantic(word, english) {
+        const gloss = (english || '').toLowerCase();
+        const group = this.semantic.get(gloss);
+        if (group) return group;
+
+        if (this.verbs.has(word) && /ing$/.test(gloss)) {
+            return { class: 'infinitive', gender: 'neuter', note: 'Infinitives used as nouns' };
+        }
+        return null;
+    }
+
+    /**
+     * Gender of the last part of a compound, or of the longest known noun the
+     * word ends in, so that prefixed derivations (uvær → vær) find their head too
+     */
+    findHead(word, compound) {
+        const candidates = compound && compound.parts.length > 1
+            ? [compound.parts[compound.parts.length - 1]]
+            : [];
+        for (let start = 2; start <= word.length - 3; start++) {
+            candidates.push(word.slice(start));
+        }
+
+        for (const candidate of candidates) {
+            const gender = this.nouns.get(candidate);
+            if (gender) return { word: candidate, gender };
+        }
+        return null;
+    }
+
+    queue(headword, english, votes, resolved, reason) {
+        this.review.push({ headword, english, votes, resolved, reason });
+    }
+
+    async writeReview() {
+        await fs.mkdir(path.dirname(this.reviewFile), { recursive: true });
+
+        const sorted = [...this.review].sort((a, b) => a.headword.localeCompare(b.headword));
+        await fs.writeFile(this.reviewFile, JSON.stringify({
+            description: 'Nouns whose gender the sources dispute or a §4.3.3 rule overrules. Confirm them or pin the gender with an override.',
+            count: sorted.length,
+            nouns: sorted
+        }, null, 2));
+    }
+}
+
+module.exports = GenderResolver;
@@ -9,6 +9,7 @@ const csv = require('csv-parser');
 const { createReadStream, createWriteStream } = require('fs');
 const { getApiConfig } = require('./api-config');
 const WiktionaryCache = require('./wiktionary-cache');
+const NordumLoanwords = require('../../src/js/nordum/loanwords');
 
 /**
  * Base class for dictionary importers with common functionality
@@ -19,6 +20,7 @@ class BaseImporter {
         this.language = language;
         this.apiConfig = getApiConfig();
         this.wiktionaryCache = new WiktionaryCache();
+        this.loanwords = new NordumLoanwords();
 
         this.options = {
             rateLimit: this.apiConfig.getRateLimit(),
@@ -394,6 +396,13 @@ class BaseImporter {
             .trim();
     }
 
+    /**
+     * Check if word is an English loanword, by the lexicon, its spelling and its gloss
+     */
+    isEnglishLoanword(word, english = '') {
+        return this.loanwords.isLoanword(word, english);
+    }
+
     /**
      * Validate word entry
      */
@@ -405,8 +414,13 @@ class BaseImporter {
             errors.push('Missing word');
         }
 
-        // Word should only contain valid characters
-        if (entry.word && !/^[a-zA-ZäöåÄÖÅæøÆØ\-']+$/.test(entry.word)) {
+        // Word should only contain valid characters; reflexive and particle verbs
+        // (legge seg, ta opp, sätta sig ner) are verbs of up to three words
+        const validWord = /^[a-zA-ZäöåÄÖÅæøÆØ\-']+$/;
+        const words = entry.word ? entry.word.trim().split(/\s+/) : [];
+        const multiwordVerb = words.length > 1 && words.length <= 3 &&
+            (entry.pos || '').toLowerCase().startsWith('verb');
+        if (entry.word && !(validWord.test(entry.word) || (multiwordVerb && words.every(part => validWord.test(part))))) {
             errors.push('Invalid characters in word');
         }
 
@@ -3,6 +3,8 @@
 const BaseImporter = require('./base-importer');
 const fs = require('fs').promises;
 const path = require('path');
+const NordumNumerals = require('../../src/js/nordum/numerals');
+const sourceNumerals = require('../../data/rules/source-numerals.json');
 
 /**
  * Danish dictionary importer
@@ -18,6 +20,10 @@ class DanishImporter extends BaseImporter {
         });
 
         this.frequencyData = new Map();
+        this.numerals = new NordumNumerals();
+        this.danishNumerals = new NordumNumerals(sourceNumerals.danish);
+        // Tens counted in twenties (halvtreds = 2½ × 20), also inside halvtredsindstyvende
+        this.vigesimalTens = [50, 60, 70, 80, 90].map(tens => sourceNumerals.danish.cardinals[tens]);
         // Merge options with base class options
         this.options = {
             ...this.options,
@@ -957,7 +963,7 @@ class DanishImporter extends BaseImporter {
 
             // Apply Nordum rules:
             // 1. English loanwords stay unchanged (Danish practice)
-            if (this.isEnglishLoanword(entry.word)) {
+            if (this.isEnglishLoanword(entry.word, entry.english)) {
                 processedEntry.nordum_note = 'English loanword preserved (Danish practice)';
             }
 
@@ -966,9 +972,12 @@ class DanishImporter extends BaseImporter {
                 processedEntry.nordum_note = 'Question word - hv→v transformation needed';
             }
 
-            // 3. Numbers: Danish vigesimal system will be replaced by Norwegian
-            if (entry.pos === 'numeral' && this.isDanishVigesimalNumber(entry.word)) {
-                processedEntry.nordum_note = 'Danish vigesimal number - will use Norwegian system';
+            // 3. Numbers: Danish vigesimal numerals are respelled in the decimal system
+            const nordumNumeral = entry.pos === 'numeral' && this.isDanishVigesimalNumber(entry.word)
+                ? this.toNordumNumeral(entry.word)
+                : null;
+            if (nordumNumeral) {
+                processedEntry.nordum_note = `Danish vigesimal number - Nordum ${nordumNumeral}`;
             }
 
             // 4. Mark entries that strongly support Bokmål/Danish preference
@@ -983,19 +992,6 @@ class DanishImporter extends BaseImporter {
         return processed;
     }
 
-    /**
-     * Check if word is an English loanword
-     */
-    isEnglishLoanword(word) {
-        const englishLoanwords = [
-            'computer', 'internet', 'email', 'software', 'website', 'app', 'smartphone',
-            'online', 'download', 'upload', 'login', 'password', 'browser', 'server',
-            'database', 'backup', 'cloud', 'streaming', 'podcast', 'blog', 'chat'
-        ];
-
-        return englishLoanwords.includes(word.toLowerCase());
-    }
-
     /**
      * Check if word represents Bokmål/Danish preference
      */
@@ -1013,11 +1009,20 @@ class DanishImporter extends BaseImporter {
      * Check if word is part of Danish vigesimal number system
      */
     isDanishVigesimalNumber(word) {
-        const vigesimalNumbers = [
-            'halvtreds', 'tres', 'halvfjerds', 'firs', 'halvfems'
-        ];
+        const parsed = this.danishNumerals.parse(word);
+        if (!parsed || parsed.fraction) return false;
+
+        // Any token counts, so halvtreds tusind (50 000) is vigesimal too
+        const lower = word.toLowerCase();
+        return this.vigesimalTens.some(tens => lower.includes(tens));
+    }
 
-        return vigesimalNumbers.includes(word.toLowerCase());
+    /**
+     * Nordum spelling of a Danish numeral: syvoghalvfems → nittisyv
+     */
+    toNordumNumeral(word) {
+        const parsed = this.danishNumerals.parse(word);
+        return parsed ? this.numerals.format(parsed) : null;
     }
 
     /**
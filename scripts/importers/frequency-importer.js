@@ -3,6 +3,8 @@
 const BaseImporter = require('./base-importer');
 const fs = require('fs').promises;
 const path = require('path');
+const RewriteRuleSet = require('../../src/js/nordum/rewrite-rules');
+const NordumNumerals = require('../../src/js/nordum/numerals');
 
 /**
  * Frequency word list importer for Nordic languages
@@ -30,6 +32,9 @@ class FrequencyImporter extends BaseImporter {
             norwegian: new Map(),
             swedish: new Map()
         };
+        
+        this.rules = new RewriteRuleSet();
+        this.numerals = new NordumNumerals();
     }
 
     async import() {
@@ -257,20 +262,10 @@ class FrequencyImporter extends BaseImporter {
         const processed = new Map();
         
         for (const [word, freq] of freqMap) {
-            let nordumWord = word;
+            // Question words, sound patterns and orthography from the shared rules file
+            const nordumWord = this.rules.apply(word);
             let nordumFreq = freq;
             
-            // Apply question word transformation: hv → v
-            if (word.startsWith('hv')) {
-                const transformedWord = 'v' + word.substring(2);
-                nordumWord = transformedWord;
-                
-                // If both forms exist, combine their frequencies
-                if (freqMap.has(transformedWord)) {
-                    nordumFreq += freqMap.get(transformedWord);
-                }
-            }
-            
             // Boost frequency for words that align with Nordum principles
             if (this.isNordumAlignedWord(word)) {
                 nordumFreq *= 1.1;
@@ -281,7 +276,8 @@ class FrequencyImporter extends BaseImporter {
                 nordumFreq *= 0.7;
             }
             
-            processed.set(nordumWord, Math.round(nordumFreq));
+            // Source forms that collapse onto the same Nordum word share its frequency
+            processed.set(nordumWord, (processed.get(nordumWord) || 0) + Math.round(nordumFreq));
         }
         
         return processed;
@@ -292,22 +288,19 @@ class FrequencyImporter extends BaseImporter {
      */
     isNordumAlignedWord(word) {
         // English loanwords (preserved in Nordum)
-        const englishLoanwords = [
-            'computer', 'internet', 'email', 'software', 'website', 'app',
-            'smartphone', 'online', 'download', 'upload', 'password'
-        ];
-        
-        // Question words with v- (preferred in Nordum)
-        const vQuestionWords = ['vad', 'var', 'vem', 'varför', 'vilken'];
+        if (this.loanwords.lexicon.has(word)) return true;
         
         // Norwegian number system (preferred over Danish vigesimal)
-        const norwegianNumbers = [
-            'tjue', 'trettio', 'førti', 'femti', 'seksti', 'sytti', 'åtti', 'nitti'
-        ];
+        if (this.numerals.parse(word)) return true;
+        
+        // Question words with v- (preferred in Nordum)
+        for (const entries of this.rules.lexicon.values()) {
+            if (entries.some(entry => entry.group === 'question' && entry.nordum === word)) {
+                return true;
+            }
+        }
         
-        return englishLoanwords.includes(word) || 
-               vQuestionWords.includes(word) || 
-               norwegianNumbers.includes(word);
+        return false;
     }
 
     /**
@@ -716,7 +716,7 @@ class NorwegianImporter extends BaseImporter {
 
             // Apply Nordum rules:
             // 1. English loanwords stay unchanged
-            if (this.isEnglishLoanword(entry.word)) {
+            if (this.isEnglishLoanword(entry.word, entry.english)) {
                 // Keep as-is, already in English form
                 processedEntry.nordum_note = 'English loanword preserved';
             }
@@ -745,19 +745,6 @@ class NorwegianImporter extends BaseImporter {
         return processed;
     }
 
-    /**
-     * Check if word is an English loanword
-     */
-    isEnglishLoanword(word) {
-        const englishLoanwords = [
-            'computer', 'internet', 'email', 'software', 'website', 'app', 'smartphone',
-            'online', 'download', 'upload', 'login', 'password', 'browser', 'server',
-            'database', 'backup', 'cloud', 'streaming', 'podcast', 'blog', 'chat'
-        ];
-
-        return englishLoanwords.includes(word.toLowerCase());
-    }
-
     /**
      * Check if word represents Bokmål/Danish preference
      */
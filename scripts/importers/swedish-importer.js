@@ -823,18 +823,8 @@ class SwedishImporter extends BaseImporter {
      * Check if Swedish word has English equivalent that should be preferred
      */
     hasEnglishEquivalent(swedishWord, englishMeaning) {
-        const swedishToEnglish = {
-            'dator': 'computer',
-            'mejl': 'email',
-            'mjukvara': 'software',
-            'webbsida': 'website',
-            'nedladdning': 'download',
-            'uppladdning': 'upload',
-            'lösenord': 'password',
-            'webbläsare': 'browser'
-        };
-
-        return swedishToEnglish[swedishWord.toLowerCase()] === englishMeaning?.toLowerCase();
+        const english = this.loanwords.normalize(englishMeaning);
+        return this.loanwords.preserved.has(english) && this.loanwords.normalize(swedishWord) !== english;
     }
 
     /**
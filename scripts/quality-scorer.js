@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+
+const natural = require('natural');
+
+/**
+ * Nordum Quality Scorer
+ *
+ * Scores every lexical decision on the four dimensions of spec §5.4:
+ *
+ * - intelligibility: how close the Nordum form is to the word of each source
+ *   language that has one, averaged over those languages
+ * - regularity: adherence to the spelling and morphological patterns, lowered
+ *   by irregular paradigms and specification violations
+ * - utility: modern usage and learnability, from frequency and word length
+ * - balance: equal treatment of the source languages, 1 minus the spread
+ *   between the closest and the most distant language that has the word
+ *   (null with fewer than two)
+ *
+ * Each score lies between 0 and 1; the inputs it was computed from are kept
+ * with the scores so that a weak entry can be explained. How many source
+ * languages have the word at all is alignment coverage, not intelligibility,
+ * and is reported as its own input.
+ */
+class QualityScorer {
+    constructor(options = {}) {
+        this.languages = options.languages || ['norwegian', 'danish', 'swedish'];
+        this.normalize = options.normalize || (word => word.toLowerCase());
+        this.similarity = options.similarity || ((a, b) =>
+            1 - natural.LevenshteinDistance(a, b) / Math.max(a.length, b.length));
+        this.spellingScore = options.spellingScore || (() => 1);
+        this.isIrregular = options.isIrregular || (() => false);
+        this.weights = options.weights || { intelligibility: 1, regularity: 1, utility: 1, balance: 1 };
+        this.weakestCount = options.weakestCount || 50;
+    }
+
+    /**
+     * Score the senses of all main entries and summarize them for statistics.json
+     *
+     * `violations` are the specification violations of the spec validator.
+     */
+    scoreEntries(entries, violations = []) {
+        const violationCounts = new Map();
+        for (const violation of violations) {
+            const key = `${violation.headword}|${violation.english}|${violation.pos}`;
+            violationCounts.set(key, (violationCounts.get(key) || 0) + 1);
+        }
+
+        const mainEntries = entries.filter(entry => !entry.alternativeOf);
+        const maxFrequency = Math.max(1, ...mainEntries.flatMap(entry => entry.senses.map(sense => sense.frequency || 0)));
+
+        const scored = [];
+        for (const entry of mainEntries) {
+            for (const sense of entry.senses) {
+                sense.quality = this.score(entry.nordum, sense, {
+                    maxFrequency,
+                    violations: violationCounts.get(`${entry.nordum}|${sense.english}|${sense.pos}`) || 0
+                });
+                scored.push({ headword: entry.nordum, sense });
+            }
+        }
+
+        return this.summarize(scored);
+    }
+
+    /**
+     * The four scores of one sense, their weighted mean and their inputs
+     */
+    score(headword, sense, { maxFrequency = 1, violations = 0 } = {}) {
+        const similarity = this.similarities(headword, sense.sources || {});
+        const values = Object.values(similarity).filter(value => value !== null);
+
+        // Senses without source words (numerals, demonyms) have nothing to be intelligible against
+        const intelligibility = values.length > 0
+            ? values.reduce((sum, value) => sum + value, 0) / values.length
+            : null;
+        const balance = values.length > 1 ? 1 - (Math.max(...values) - Math.min(...values)) : null;
+        const coverage = values.length / this.languages.length;
+
+        const irregular = this.isIrregular(headword, sense.pos);
+        const regularity = this.clamp(this.spellingScore(headword) - (irregular ? 0.2 : 0) - violations * 0.25);
+
+        const frequency = sense.frequency || 0;
+        const frequencyScore = Math.log10(frequency + 1) / Math.log10(maxFrequency + 1);
+        const lengthScore = this.clamp(1 - Math.max(0, headword.length - 4) / 12);
+        const utility = 0.7 * frequencyScore + 0.3 * lengthScore;
+
+        const scores = { intelligibility, regularity, utility, balance };
+        return {
+            ...Object.fromEntries(Object.entries(scores).map(([name, value]) => [name, this.round(value)])),
+            overall: this.round(this.weightedMean(scores)),
+            inputs: {
+                similarity: Object.fromEntries(Object.entries(similarity).map(([lang, value]) => [lang, this.round(value)])),
+                coverage: this.round(coverage),
+                frequency,
+                length: headword.length,
+                irregular,
+                violations
+            }
+        };
+    }
+
+    /**
+     * Edit similarity of the headword to each source word (null when missing)
+     */
+    similarities(headword, sources) {
+        const target = this.normalize(headword);
+        const similarity = {};
+        for (const lang of this.languages) {
+            const word = sources[lang] && sources[lang].word;
+            if (!word) {
+                similarity[lang] = null;
+                continue;
+            }
+            const source = this.normalize(word);
+            similarity[lang] = target.length > 0 || source.length > 0 ? this.similarity(target, source) : 1;
+        }
+        return similarity;
+    }
+
+    weightedMean(scores) {
+        let total = 0;
+        let weight = 0;
+        for (const [name, value] of Object.entries(scores)) {
+            if (value === null) continue;
+            total += value * this.weights[name];
+            weight += this.weights[name];
+        }
+        return weight > 0 ? total / weight : null;
+    }
+
+    /**
+     * Averages per dimension, the language each form leans towards and the weakest senses
+     */
+    summarize(scored) {
+        const dimensions = ['intelligibility', 'regularity', 'utility', 'balance', 'overall'];
+        const averages = {};
+        for (const dimension of dimensions) {
+            const values = scored.map(({ sense }) => sense.quality[dimension]).filter(value => value !== null);
+            averages[dimension] = values.length > 0
+                ? this.round(values.reduce((sum, value) => sum + value, 0) / values.length)
+                : null;
+        }
+
+        const coverage = scored.map(({ sense }) => sense.quality.inputs.coverage);
+        averages.coverage = coverage.length > 0
+            ? this.round(coverage.reduce((sum, value) => sum + value, 0) / coverage.length)
+            : null;
+
+        // Which source language each form is closest to; ties count for all of them
+        const closestLanguage = Object.fromEntries(this.languages.map(lang => [lang, 0]));
+        for (const { sense } of scored) {
+            const similarity = Object.entries(sense.quality.inputs.similarity).filter(([, value]) => value !== null);
+            if (similarity.length === 0) continue;
+            const best = Math.max(...similarity.map(([, value]) => value));
+            similarity.filter(([, value]) => value === best).forEach(([lang]) => closestLanguage[lang]++);
+        }
+
+        const weakest = scored
+            .filter(({ sense }) => sense.quality.overall !== null)
+            .sort((a, b) => a.sense.quality.overall - b.sense.quality.overall ||
+                b.sense.frequency - a.sense.frequency)
+            .slice(0, this.weakestCount)
+            .map(({ headword, sense }) => ({
+                headword,
+                english: sense.english,
+                pos: sense.pos,
+                ...Object.fromEntries(dimensions.map(dimension => [dimension, sense.quality[dimension]]))
+            }));
+
+        return { scored: scored.length, averages, closestLanguage, weakest };
+    }
+
+    clamp(value) {
+        return Math.min(1, Math.max(0, value));
+    }
+
+    round(value) {
+        return value === null ? null : Math.round(value * 1000) / 1000;
+    }
+}
+
+module.exports = QualityScorer;
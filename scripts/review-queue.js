@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Nordum Review Queue
+ *
+ * Collects the decisions the build takes by a narrow margin: the part of
+ * speech the sources disagree on, the source form chosen for the headword and
+ * the noun genders the resolver flags. Each item lists the competing
+ * candidates with their scores, the source rows they come from and an
+ * override skeleton for data/dictionary/overrides.json. Decisions already
+ * pinned by an override are not queued, so resolved items drop out of the
+ * next build. The queue is written as JSON and as a readable HTML report.
+ */
+class ReviewQueue {
+    constructor(options = {}) {
+        this.languages = options.languages || ['norwegian', 'danish', 'swedish'];
+        this.reportFile = options.reportFile || path.join(__dirname, '../reports/review-queue.json');
+        this.htmlFile = options.htmlFile || path.join(__dirname, '../reports/review-queue.html');
+
+        // Largest score difference between the first two candidates that still counts as close
+        this.margins = { pos: 1, form: 0.1, ...options.margins };
+        this.items = [];
+    }
+
+    /**
+     * Queue a decision: { kind, headword, english, chosen, candidates, sources, reason, margin? }
+     */
+    add(item) {
+        const [first, second] = item.candidates;
+        const field = { pos: 'pos', gender: 'gender', form: 'nordum' }[item.kind];
+
+        this.items.push({
+            ...item,
+            margin: item.margin !== undefined ? item.margin : (second ? this.round(first.score - second.score) : null),
+            suggestion: {
+                match: { concept: item.english, ...(item.pos && { pos: item.pos }) },
+                [field]: item.chosen,
+                reason: ''
+            }
+        });
+    }
+
+    /**
+     * Queue the part of speech when the first two weighted votes are within the margin
+     */
+    reviewPOS(headword, english, chosen, ranked, translations) {
+        if (ranked.length < 2 || ranked[0][1] - ranked[1][1] > this.margins.pos) return;
+
+        this.add({
+            kind: 'pos',
+            headword,
+            english,
+            chosen,
+            candidates: ranked.map(([value, score]) => ({
+                value,
+                score,
+                languages: this.languages.filter(lang => translations[lang] && translations[lang].pos === value)
+            })),
+            sources: this.sourceRows(translations),
+            reason: 'Sources disagree on the part of speech'
+        });
+    }
+
+    /**
+     * Queue the headword source when the two best distinct words score within the margin
+     *
+     * Sources spelling the same word (bør/bør) are one candidate with their best score.
+     */
+    reviewForm(headword, english, pos, ranked, translations) {
+        const byWord = new Map();
+        for (const { language, word, score } of ranked) {
+            const key = word.toLowerCase();
+            if (!byWord.has(key)) {
+                byWord.set(key, { value: word, score, languages: [] });
+            }
+            byWord.get(key).languages.push(language);
+        }
+
+        const candidates = Array.from(byWord.values());
+        if (candidates.length < 2) return;
+
+        const margin = this.round(candidates[0].score - candidates[1].score);
+        if (margin > this.margins.form) return;
+
+        this.add({
+            kind: 'form',
+            headword,
+            english,
+            pos,
+            chosen: headword,
+            candidates: candidates.map(candidate => ({ ...candidate, score: this.round(candidate.score) })),
+            margin,
+            sources: this.sourceRows(translations),
+            reason: `${candidates[0].value} (${candidates[0].languages.join(', ')}) chosen over ${candidates[1].value} (${candidates[1].languages.join(', ')}) by ${margin}`
+        });
+    }
+
+    /**
+     * Queue a noun the gender resolver flagged ({ headword, english, votes, resolved, reason })
+     */
+    reviewGender(flagged, translations) {
+        const byGender = new Map();
+        for (const [lang, gender] of Object.entries(flagged.votes)) {
+            byGender.set(gender, [...(byGender.get(gender) || []), lang]);
+        }
+        if (!byGender.has(flagged.resolved)) byGender.set(flagged.resolved, []);
+
+        this.add({
+            kind: 'gender',
+            headword: flagged.headword,
+            english: flagged.english,
+            pos: 'noun',
+            chosen: flagged.resolved,
+            candidates: Array.from(byGender, ([value, languages]) => ({ value, score: languages.length, languages }))
+                .sort((a, b) => b.score - a.score),
+            sources: this.sourceRows(translations),
+            reason: flagged.reason
+        });
+    }
+
+    sourceRows(translations) {
+        return this.languages
+            .filter(lang => translations[lang])
+            .map(lang => {
+                const { word, pos = '', gender = '', frequency = 0 } = translations[lang];
+                return { language: lang, word, pos, gender, frequency };
+            });
+    }
+
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    summarize() {
+        const byKind = {};
+        for (const item of this.items) {
+            byKind[item.kind] = (byKind[item.kind] || 0) + 1;
+        }
+        return { count: this.items.length, byKind };
+    }
+
+    /**
+     * Write the queue as JSON and HTML, closest decisions first
+     */
+    async write() {
+        await fs.mkdir(path.dirname(this.reportFile), { recursive: true });
+
+        const sorted = [...this.items].sort((a, b) =>
+            a.kind.localeCompare(b.kind) || (a.margin ?? 0) - (b.margin ?? 0) || a.headword.localeCompare(b.headword)
+        );
+        const report = {
+            description: 'Decisions taken by a narrow margin. Confirm them, or copy the suggestion into data/dictionary/overrides.json with the right value, an id and a reason.',
+            generated: new Date().toISOString(),
+            margins: this.margins,
+            ...this.summarize(),
+            items: sorted
+        };
+
+        await fs.writeFile(this.reportFile, JSON.stringify(report, null, 2));
+        await fs.writeFile(this.htmlFile, this.renderHtml(report));
+    }
+
+    renderHtml(report) {
+        const escape = text => String(text ?? '').replace(/[&<>"]/g, char =>
+            ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+        const titles = { pos: 'Part of speech', form: 'Headword form', gender: 'Noun gender' };
+
+        const sections = Object.keys(titles).map(kind => {
+            const items = report.items.filter(item => item.kind === kind);
+            if (items.length === 0) return '';
+
+            const rows = items.map(item => `
+        <tr>
+          <td><strong>${escape(item.headword)}</strong><br><small>${escape(item.english)}</small></td>
+          <td>${escape(item.chosen)}</td>
+          <td>${item.candidates.map(candidate =>
+              `${escape(candidate.value)} <small>${escape(candidate.score)} (${escape(candidate.languages.join(', '))})</small>`).join('<br>')}</td>
+          <td>${item.sources.map(source =>
+              `${escape(source.language)}: ${escape(source.word)} <small>${escape([source.pos, source.gender].filter(Boolean).join(', '))} · ${escape(source.frequency)}</small>`).join('<br>')}</td>
+          <td>${escape(item.reason)}</td>
+          <td><code>${escape(JSON.stringify(item.suggestion))}</code></td>
+        </tr>`).join('');
+
+            return `
+    <h2>${titles[kind]} (${items.length})</h2>
+    <table>
+      <thead><tr><th>Headword</th><th>Chosen</th><th>Candidates</th><th>Sources</th><th>Reason</th><th>Override</th></tr></thead>
+      <tbody>${rows}
+      </tbody>
+    </table>`;
+        }).join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Nordum review queue</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 2rem; }
+    th, td { border: 1px solid #ccc; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; }
+    th { background: #f3f3f3; }
+    small { color: #666; }
+    code { font-size: 0.8rem; word-break: break-all; }
+  </style>
+</head>
+<body>
+  <h1>Nordum review queue</h1>
+  <p>${escape(report.description)}</p>
+  <p>${report.count} decisions, generated ${escape(report.generated)}.</p>${sections}
+</body>
+</html>
+`;
+    }
+}
+
+module.exports = ReviewQueue;
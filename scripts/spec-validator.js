@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Nordum Specification Validator
+ *
+ * Checks generated dictionary entries and their inflections against the
+ * invariants of the language specification and measures rule compliance as
+ * the share of applicable checks that pass. Irregular paradigms are exempt
+ * from the morphology checks, which is what the specification allows.
+ */
+class SpecValidator {
+    constructor(options = {}) {
+        this.closedClassFile = options.closedClassFile ||
+            path.join(__dirname, '../data/dictionary/closed-class.json');
+        this.reportFile = options.reportFile || path.join(__dirname, '../reports/spec-violations.json');
+        this.loanwords = options.loanwords || new Set();
+        this.isIrregular = options.isIrregular || (() => false);
+        this.prepositions = new Map();
+
+        this.checks = [
+            { id: 'verb-present-er', spec: '§4.2.1', test: this.checkVerbPresent },
+            { id: 'noun-plural-ar', spec: '§4.3.1', test: this.checkNounPlural },
+            { id: 'adjective-comparative-ere', spec: '§4.4.1', test: this.checkComparative },
+            { id: 'no-initial-hv', spec: '§3.5', test: this.checkNoInitialHv },
+            { id: 'native-ks', spec: '§3.3.3', test: this.checkNativeKs },
+            { id: 'preposition-spelling', spec: '§3.3.4', test: this.checkPreposition }
+        ];
+    }
+
+    /**
+     * Load the preposition spellings of §3.3.4 from the closed-class lexicon
+     */
+    async init() {
+        try {
+            const data = JSON.parse(await fs.readFile(this.closedClassFile, 'utf8'));
+            this.prepositions = new Map((data.entries || [])
+                .filter(entry => entry.pos === 'preposition')
+                .map(entry => [entry.english, entry.nordum]));
+        } catch (error) {
+            console.warn(`Could not load preposition spellings: ${error.message}`);
+            this.prepositions = new Map();
+        }
+    }
+
+    /**
+     * Validate main entries, returning the compliance score and every violation
+     *
+     * Alternative spellings are skipped: they are the permitted variants of §7.
+     */
+    validate(entries) {
+        const byRule = {};
+        const violations = [];
+        let checked = 0;
+
+        for (const check of this.checks) {
+            byRule[check.id] = { spec: check.spec, checked: 0, violations: 0 };
+        }
+
+        for (const entry of entries) {
+            if (entry.alternativeOf) continue;
+
+            for (const sense of entry.senses) {
+                for (const check of this.checks) {
+                    const result = check.test.call(this, entry.nordum, sense);
+                    if (!result) continue;  // Not applicable
+
+                    checked++;
+                    byRule[check.id].checked++;
+                    if (result.valid) continue;
+
+                    byRule[check.id].violations++;
+                    violations.push({
+                        headword: entry.nordum,
+                        english: sense.english,
+                        pos: sense.pos,
+                        rule: check.id,
+                        spec: check.spec,
+                        message: result.message,
+                        ...(sense.override && { override: sense.override })
+                    });
+                }
+            }
+        }
+
+        const passed = checked - violations.length;
+        return {
+            ruleCompliance: checked > 0 ? Math.round(passed / checked * 10000) / 100 : 100,
+            checked,
+            passed,
+            byRule,
+            violations
+        };
+    }
+
+    /**
+     * Every written form of a sense: the headword and all inflections, accepted ones included
+     */
+    collectForms(headword, sense) {
+        const forms = new Set([headword]);
+        const collect = (value) => {
+            if (typeof value === 'string') {
+                forms.add(value);
+            } else if (Array.isArray(value)) {
+                value.forEach(collect);
+            } else if (value && typeof value === 'object') {
+                Object.values(value).forEach(collect);
+            }
+        };
+        collect(sense.inflections);
+        return Array.from(forms);
+    }
+
+    // Present tense ends in -er; vowel stems take -r (bor, går) and only stressed monosyllables -ar (tar)
+    // Reflexive and particle verbs are checked on the verb alone (tar opp)
+    checkVerbPresent(headword, sense) {
+        let present = sense.inflections && sense.inflections.present;
+        if (sense.multiword && present) {
+            headword = sense.multiword.verb;
+            present = present.split(' ')[0];
+        }
+        if (sense.pos !== 'verb' || !present || this.isIrregular(headword, 'verb')) return null;
+
+        const valid = present.endsWith('er') ||
+            (present === `${headword}r` && (!present.endsWith('ar') || /^[^aeiouyæøåäö]+a$/.test(headword)));
+
+        return { valid, message: `Present tense "${present}" does not end in -er` };
+    }
+
+    // Noun plurals end in -ar unless the noun is one of the invariant neuters
+    checkNounPlural(headword, sense) {
+        const plural = sense.inflections && sense.inflections.plural;
+        if (sense.pos !== 'noun' || !plural || this.isIrregular(headword, 'noun')) return null;
+
+        const valid = plural.indefinite.endsWith('ar') && plural.definite.endsWith('arna');
+        return { valid, message: `Plural "${plural.indefinite}/${plural.definite}" does not end in -ar/-arna` };
+    }
+
+    // Comparatives end in -ere unless suppletive (god → bedre)
+    checkComparative(headword, sense) {
+        const comparative = sense.inflections && sense.inflections.comparative;
+        if (sense.pos !== 'adjective' || !comparative || this.isIrregular(headword, 'adjective')) return null;
+
+        return { valid: comparative.endsWith('ere'), message: `Comparative "${comparative}" does not end in -ere` };
+    }
+
+    // Silent h is never written before v
+    checkNoInitialHv(headword, sense) {
+        const forms = this.collectForms(headword, sense).filter(form => form.startsWith('hv'));
+        return { valid: forms.length === 0, message: `Initial hv- in ${forms.join(', ')}` };
+    }
+
+    // Native words write ks; x is kept for loanwords that Norwegian or Danish also spell with x (taxi)
+    checkNativeKs(headword, sense) {
+        const forms = this.collectForms(headword, sense).filter(form => form.includes('x'));
+        if (forms.length === 0) return { valid: true };
+
+        const isLoanword = (sense.loanword && sense.loanword.decision !== 'replace') || this.loanwords.has((sense.english || '').toLowerCase()) ||
+            ['norwegian', 'danish'].some(lang =>
+                sense.sources && sense.sources[lang] && sense.sources[lang].word.toLowerCase().includes('x')
+            );
+
+        return { valid: isLoanword, message: `x instead of ks in native word: ${forms.join(', ')}` };
+    }
+
+    // Prepositions follow Bokmål with the exceptions listed in §3.3.4
+    checkPreposition(headword, sense) {
+        const expected = this.prepositions.get(sense.english);
+        const isPreposition = sense.pos === 'preposition' ||
+            Object.values(sense.sources || {}).some(source => source.pos === 'preposition');
+        if (!expected || !isPreposition) return null;
+
+        return { valid: headword === expected, message: `Preposition "${sense.english}" is spelled ${expected}, not ${headword}` };
+    }
+
+    /**
+     * Write the violations report, grouped by rule for review
+     */
+    async writeReport(result) {
+        await fs.mkdir(path.dirname(this.reportFile), { recursive: true });
+
+        const sorted = [...result.violations].sort((a, b) =>
+            a.rule.localeCompare(b.rule) || a.headword.localeCompare(b.headword)
+        );
+        await fs.writeFile(this.reportFile, JSON.stringify({
+            description: 'Dictionary entries that break a specification invariant. Fix the source data, add a paradigm or pin the form in overrides.json.',
+            ruleCompliance: result.ruleCompliance,
+            checked: result.checked,
+            passed: result.passed,
+            byRule: result.byRule,
+            violations: sorted
+        }, null, 2));
+    }
+}
+
+module.exports = SpecValidator;
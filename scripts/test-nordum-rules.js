@@ -202,6 +202,121 @@ class NordumRulesTest {
                 ]
             },
 
+            spellingRules: {
+                description: 'K/J/G and ks/x spelling rules should follow spec §3.3.3',
+                cases: [
+                    {
+                        english: 'search',
+                        translations: {
+                            norwegian: { word: 'søke', pos: 'verb', frequency: 1000 },
+                            danish: { word: 'søge', pos: 'verb', frequency: 1000 },
+                            swedish: { word: 'söka', pos: 'verb', frequency: 1000 }
+                        },
+                        expected: 'søge',
+                        reason: '§3.3.3 rule 1: Norwegian k / Danish g → g'
+                    },
+                    {
+                        english: 'guest',
+                        translations: {
+                            norwegian: { word: 'gjest', pos: 'noun', frequency: 800 },
+                            danish: { word: 'gæst', pos: 'noun', frequency: 800 },
+                            swedish: { word: 'gäst', pos: 'noun', frequency: 800 }
+                        },
+                        expected: 'gæst',
+                        reason: '§3.3.3 rule 2: Norwegian gj / Danish g → g'
+                    },
+                    {
+                        english: 'fix',
+                        translations: {
+                            swedish: { word: 'fix', pos: 'adjective', frequency: 900 },
+                            danish: { word: 'fiks', pos: 'adjective', frequency: 500 }
+                        },
+                        expected: 'fiks',
+                        reason: '§3.3.3 rule 3: Swedish x / Norwegian-Danish ks → ks'
+                    },
+                    {
+                        english: 'drive',
+                        translations: {
+                            norwegian: { word: 'kjøre', pos: 'verb', frequency: 1200 },
+                            danish: { word: 'køre', pos: 'verb', frequency: 1200 },
+                            swedish: { word: 'köra', pos: 'verb', frequency: 1200 }
+                        },
+                        expected: 'køre',
+                        reason: '§3.3.3 rule 4: Norwegian kj / Danish k → k'
+                    },
+                    {
+                        english: 'love',
+                        translations: {
+                            norwegian: { word: 'kjærlighet', pos: 'noun', frequency: 1000 },
+                            danish: { word: 'kærlighed', pos: 'noun', frequency: 1000 },
+                            swedish: { word: 'kärlek', pos: 'noun', frequency: 1000 }
+                        },
+                        expected: 'kærlighet',
+                        reason: '§3.3.3 rule 4 respells only kj; the Danish -hed is not taken over'
+                    },
+                    {
+                        english: 'know',
+                        translations: {
+                            norwegian: { word: 'kjenne', pos: 'verb', frequency: 1000 },
+                            danish: { word: 'kende', pos: 'verb', frequency: 1000 },
+                            swedish: { word: 'känna', pos: 'verb', frequency: 1000 }
+                        },
+                        expected: 'kende',
+                        reason: '§3.3.3 rule 4 takes the Danish spelling of the morpheme, as in kjøre/køre → køre'
+                    },
+                    {
+                        english: 'buy',
+                        translations: {
+                            norwegian: { word: 'kjøpe', pos: 'verb', frequency: 1000 },
+                            danish: { word: 'købe', pos: 'verb', frequency: 1000 },
+                            swedish: { word: 'köpa', pos: 'verb', frequency: 1000 }
+                        },
+                        expected: 'købe',
+                        reason: '§3.3.3 rule 4 example: kjøpe/købe → købe'
+                    },
+                    {
+                        english: 'book',
+                        translations: {
+                            norwegian: { word: 'bok', pos: 'noun', frequency: 1000 },
+                            danish: { word: 'bog', pos: 'noun', frequency: 8000 },
+                            swedish: { word: 'bok', pos: 'noun', frequency: 1000 }
+                        },
+                        expected: 'bok',
+                        reason: 'Danish g after o is [w], not [j]: rule 1 does not apply'
+                    },
+                    {
+                        english: 'week',
+                        translations: {
+                            norwegian: { word: 'uke', pos: 'noun', frequency: 1000 },
+                            danish: { word: 'uge', pos: 'noun', frequency: 1000 },
+                            swedish: { word: 'vecka', pos: 'noun', frequency: 1000 }
+                        },
+                        expected: 'uke',
+                        reason: 'Danish g after u is [w], not [j]: rule 1 does not apply'
+                    },
+                    {
+                        english: 'diary',
+                        translations: {
+                            norwegian: { word: 'dagbok', pos: 'noun', frequency: 1000 },
+                            danish: { word: 'dagbog', pos: 'noun', frequency: 1000 },
+                            swedish: { word: 'dagbok', pos: 'noun', frequency: 1000 }
+                        },
+                        expected: 'dagbok',
+                        reason: 'Danish g after o is [w], not [j]: rule 1 does not apply'
+                    },
+                    {
+                        english: 'naked',
+                        translations: {
+                            norwegian: { word: 'naken', pos: 'adjective', frequency: 1000 },
+                            danish: { word: 'nøgen', pos: 'adjective', frequency: 1000 },
+                            swedish: { word: 'naken', pos: 'adjective', frequency: 1000 }
+                        },
+                        expected: 'naken',
+                        reason: 'The vowels before k/g differ (a/ø): rule 1 does not apply'
+                    }
+                ]
+            },
+
             soundPatterns: {
                 description: 'Sound pattern alternatives should be supported for pronunciation variants',
                 cases: [
@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+
+const NordumNumerals = require('../src/js/nordum/numerals');
+const DanishImporter = require('./importers/danish-importer');
+const sourceNumerals = require('../data/rules/source-numerals.json');
+
+function testNumerals() {
+    const nordum = new NordumNumerals();
+    const danish = new NordumNumerals(sourceNumerals.danish);
+    const swedish = new NordumNumerals(sourceNumerals.swedish);
+
+    let passed = 0;
+    let failed = 0;
+
+    const check = (description, result, expected) => {
+        const isCorrect = JSON.stringify(result) === JSON.stringify(expected);
+
+        if (isCorrect) {
+            console.log(`✅ ${description} -> ${JSON.stringify(result)}`);
+            passed++;
+        } else {
+            console.log(`❌ ${description} -> ${JSON.stringify(result)}, Expected: ${JSON.stringify(expected)}`);
+            failed++;
+        }
+    };
+
+    console.log('Testing Nordum spelling:');
+    console.log('========================');
+
+    check('253', nordum.cardinal(253), 'to hundre og femtitre');
+    check('1005', nordum.cardinal(1005), 'tusen og fem');
+    check('7 000 000', nordum.cardinal(7000000), 'syv millionar');
+    check('1 (neuter)', nordum.cardinal(1, { gender: 'neuter' }), 'ett');
+    check('70th', nordum.ordinal(70), 'syttiende');
+    check('21st', nordum.ordinal(21), 'tjueførste');
+    check('2/3', nordum.fraction(2, 3), 'to tredjedelar');
+    console.log('');
+
+    console.log('Testing Nordum round-trips:');
+    console.log('===========================');
+
+    // Every number below 1200, then a sparse walk up to two million
+    const numbers = [];
+    for (let number = 0; number < 1200; number++) numbers.push(number);
+    for (let number = 1200; number <= 2000000; number += 997) numbers.push(number);
+
+    const cardinalMisses = numbers.filter(number => {
+        const parsed = nordum.parse(nordum.cardinal(number));
+        return !parsed || parsed.value !== number || parsed.ordinal;
+    });
+    const ordinalMisses = numbers.filter(number => {
+        if (number === 0) return false;
+        const parsed = nordum.parse(nordum.ordinal(number));
+        return !parsed || parsed.value !== number || !parsed.ordinal;
+    });
+    check(`cardinal round-trips (${numbers.length} numbers)`, cardinalMisses.slice(0, 5), []);
+    check(`ordinal round-trips (${numbers.length - 1} numbers)`, ordinalMisses.slice(0, 5), []);
+    check('fraction "to tredjedelar"', nordum.parse('to tredjedelar').denominator, 3);
+    check('negative "minus tolv"', nordum.parse('minus tolv').value, -12);
+    console.log('');
+
+    console.log('Testing malformed numerals:');
+    console.log('===========================');
+
+    // Tens and units are written together, so these are two numerals or none
+    check('"femti fem" is not 55', nordum.parse('femti fem'), null);
+    check('"to tre" is not a numeral', nordum.parse('to tre'), null);
+    check('"to og tre" is not a numeral', nordum.parse('to og tre'), null);
+    check('"hundre hundre" is not a numeral', nordum.parse('hundre hundre'), null);
+    console.log('');
+
+    console.log('Testing source numerals:');
+    console.log('========================');
+
+    const respell = (numerals, text) => {
+        const parsed = numerals.parse(text);
+        return parsed && nordum.format(parsed);
+    };
+    check('Danish syvoghalvfems', respell(danish, 'syvoghalvfems'), 'nittisyv');
+    check('Danish fem og tyve', respell(danish, 'fem og tyve'), 'tjuefem');
+    check('Danish halvtreds tusind', respell(danish, 'halvtreds tusind'), 'femti tusen');
+    check('Danish fireogtyvende', respell(danish, 'fireogtyvende'), 'tjuefjerde');
+    check('Swedish sjuttiofem', respell(swedish, 'sjuttiofem'), 'syttifem');
+    check('Swedish tvåhundrafemtio', respell(swedish, 'tvåhundrafemtio'), 'to hundre og femti');
+    check('Swedish ettusen', respell(swedish, 'ettusen'), 'tusen');
+    check('Swedish ettusenniohundra', respell(swedish, 'ettusenniohundra'), 'tusen ni hundre');
+    console.log('');
+
+    console.log('Testing Danish vigesimal detection:');
+    console.log('===================================');
+
+    const importer = new DanishImporter();
+    check('halvtreds', importer.isDanishVigesimalNumber('halvtreds'), true);
+    check('halvtreds tusind', importer.isDanishVigesimalNumber('halvtreds tusind'), true);
+    check('tresindstyvende', importer.isDanishVigesimalNumber('tresindstyvende'), true);
+    check('fyrre', importer.isDanishVigesimalNumber('fyrre'), false);
+    check('hundrede', importer.isDanishVigesimalNumber('hundrede'), false);
+
+    console.log('');
+    console.log('Results:');
+    console.log(`Passed: ${passed}, Failed: ${failed}`);
+
+    if (failed > 0) {
+        console.log('\n❌ Some tests failed - numerals are not spelled or parsed correctly');
+        process.exit(1);
+    } else {
+        console.log('\n✅ All tests passed - numerals round-trip correctly');
+    }
+}
+
+if (require.main === module) {
+    testNumerals();
+}
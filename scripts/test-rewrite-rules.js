@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+
+const RewriteRuleSet = require('../src/js/nordum/rewrite-rules');
+const nordumRules = require('../data/rules/nordum-rules.json');
+
+function testRewriteRules() {
+    const rules = new RewriteRuleSet();
+
+    // No rule in the rules file uses _F or V_V yet, so these run on rules of their own
+    const contextRules = new RewriteRuleSet({
+        classes: nordumRules.classes,
+        rules: [
+            { id: 'soft-k', env: '_F', from: 'k', to: 'kj' },
+            { id: 'lenition', env: 'V_V', from: 'p', to: 'b' }
+        ]
+    });
+
+    let passed = 0;
+    let failed = 0;
+
+    const check = (description, ruleSet, input, options, expected) => {
+        const { word, applied } = ruleSet.applyWithTrace(input, options);
+        const isCorrect = word === expected.word && JSON.stringify(applied) === JSON.stringify(expected.applied);
+
+        if (isCorrect) {
+            console.log(`✅ ${description}`);
+            console.log(`   Input: ${input} -> Output: ${word} [${applied.join(', ')}]`);
+            passed++;
+        } else {
+            console.log(`❌ ${description}`);
+            console.log(`   Input: ${input} -> Output: ${word} [${applied.join(', ')}], Expected: ${expected.word} [${expected.applied.join(', ')}]`);
+            failed++;
+        }
+        console.log('');
+    };
+
+    console.log('Testing rule environments:');
+    console.log('==========================');
+
+    check('#_ rewrites word-initial hv', rules, 'hvile', {}, { word: 'vile', applied: ['question-hv'] });
+    check('#_ leaves hv inside a word', rules, 'ahvile', {}, { word: 'ahvile', applied: [] });
+    check('_# rewrites final -ar of verbs', rules, 'kastar', { pos: 'verb' }, { word: 'kaster', applied: ['verb-present-er'] });
+    check('_# leaves -ar before more letters', rules, 'kastare', { pos: 'verb' }, { word: 'kastare', applied: [] });
+    check('_# rewrites final -dt', rules, 'stadt', {}, { word: 'stat', applied: ['silent-dt'] });
+    check('_F rewrites k before a front vowel', contextRules, 'kino', {}, { word: 'kjino', applied: ['soft-k'] });
+    check('_F leaves k before a back vowel', contextRules, 'kort', {}, { word: 'kort', applied: [] });
+    check('V_V rewrites p between vowels', contextRules, 'apapa', {}, { word: 'ababa', applied: ['lenition'] });
+    check('V_V leaves p after a consonant', contextRules, 'lampa', {}, { word: 'lampa', applied: [] });
+    check('_F and V_V apply in order', contextRules, 'køpe', {}, { word: 'kjøbe', applied: ['soft-k', 'lenition'] });
+
+    console.log('Testing rule restrictions:');
+    console.log('==========================');
+
+    check('pos limits a rule to its parts of speech', rules, 'kastar', { pos: 'noun' }, { word: 'kastar', applied: [] });
+    check('minSyllables leaves the stem of har alone', rules, 'har', { pos: 'verb' }, { word: 'har', applied: [] });
+    check('minSyllables leaves the stem of var alone', rules, 'var', { pos: 'verb' }, { word: 'var', applied: [] });
+    check('groups select the rules that run', rules, 'hvile', { groups: ['sound'] }, { word: 'hvile', applied: [] });
+    check('lexicon exceptions win over rules', rules, 'hvem', {}, { word: 'vem', applied: ['lexicon:hvem'] });
+
+    console.log('Testing invalid environments:');
+    console.log('=============================');
+
+    const invalid = [
+        { rule: { id: 'no-separator', env: '#', from: 'a', to: 'b' }, expected: 'missing "_"' },
+        { rule: { id: 'unknown-class', env: 'Q_', from: 'a', to: 'b' }, expected: 'Unknown character class "Q"' }
+    ];
+    for (const { rule, expected } of invalid) {
+        let message = null;
+        try {
+            new RewriteRuleSet({ classes: nordumRules.classes, rules: [rule] });
+        } catch (error) {
+            message = error.message;
+        }
+
+        if (message && message.includes(expected)) {
+            console.log(`✅ ${rule.id} is rejected: ${message}`);
+            passed++;
+        } else {
+            console.log(`❌ ${rule.id} should be rejected with "${expected}", got ${message}`);
+            failed++;
+        }
+    }
+
+    console.log('');
+    console.log('Results:');
+    console.log(`Passed: ${passed}, Failed: ${failed}`);
+
+    if (failed > 0) {
+        console.log('\n❌ Some tests failed - rewrite rule environments may not be working correctly');
+        process.exit(1);
+    } else {
+        console.log('\n✅ All tests passed - rewrite rule environments are working correctly');
+    }
+}
+
+if (require.main === module) {
+    testRewriteRules();
+}
@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Nordum Toponym Builder
+ *
+ * Emits geographic name entries from the curated toponym list following the
+ * endonym policy of spec §5.5: the primary form is the common endonym
+ * (España, Praha), permitted exonyms (Tyskland) and historical or regional
+ * forms (Schleswig) become alternative spellings, and the names used in the
+ * source languages (Spanien, Spania) are kept as sources so that text
+ * conversion maps them to the primary form. Demonyms and adjectives
+ * (spanjol, spansk) are added when the dictionary lacks them.
+ */
+class ToponymBuilder {
+    constructor(options = {}) {
+        this.toponymsFile = options.toponymsFile || path.join(__dirname, '../data/dictionary/toponyms.json');
+        this.inflect = options.inflect || (() => ({}));
+        this.toponyms = [];
+        this.version = null;
+    }
+
+    /**
+     * Load the toponym list
+     */
+    async init() {
+        try {
+            const data = JSON.parse(await fs.readFile(this.toponymsFile, 'utf8'));
+            this.toponyms = data.toponyms || [];
+            this.version = data.version || null;
+        } catch (error) {
+            console.warn(`Could not load toponyms: ${error.message}`);
+            this.toponyms = [];
+        }
+    }
+
+    /**
+     * English names of every place; concepts with these glosses are replaced
+     */
+    glosses() {
+        return new Set(this.toponyms.map(toponym => toponym.english.toLowerCase()));
+    }
+
+    /**
+     * Senses for every place name, demonym and adjective as [{ nordum, sense }]
+     *
+     * `concepts` are the aligned source concepts replaced by place names; they
+     * lend their frequencies. `exists(nordum, pos)` tells whether the
+     * dictionary already has a demonym or adjective.
+     */
+    buildSenses(concepts = [], exists = () => false) {
+        const frequencies = new Map();
+        for (const concept of concepts) {
+            for (const [lang, translation] of Object.entries(concept.translations)) {
+                frequencies.set(`${lang}:${translation.word.toLowerCase()}`, translation.frequency || 0);
+            }
+        }
+
+        const senses = [];
+        for (const toponym of this.toponyms) {
+            // Source names that are permitted Nordum forms (Tyskland) are kept as written
+            const permitted = new Set([...(toponym.exonyms || []), ...(toponym.variants || [])]);
+
+            const sources = {};
+            for (const [lang, word] of Object.entries(toponym.sources || {})) {
+                sources[lang] = {
+                    word,
+                    pos: 'proper noun',
+                    gender: '',
+                    frequency: frequencies.get(`${lang}:${word.toLowerCase()}`) || 0,
+                    gloss: toponym.english,
+                    ...(permitted.has(word) && { permitted: true })
+                };
+            }
+
+            senses.push({
+                nordum: toponym.primary,
+                sense: {
+                    english: toponym.english,
+                    pos: 'proper noun',
+                    gender: null,
+                    cognateScore: 1,
+                    langCount: Object.keys(sources).length,
+                    frequency: Math.max(0, ...Object.values(sources).map(source => source.frequency)),
+                    sources,
+                    inflections: {},
+                    alignment: null,
+                    toponym: this.describe(toponym),
+                    alternatives: [
+                        ...(toponym.exonyms || []).map(spelling => ({ spelling, reason: 'Permitted exonym (§5.5.2)' })),
+                        ...(toponym.variants || []).map(spelling => ({ spelling, reason: 'Historical or regional variant (§5.5.3)' }))
+                    ],
+                    selectionReason: toponym.spec === '§5.5.1'
+                        ? 'Geographic name: endonym (§5.5.1)'
+                        : `Geographic name: shared Scandinavian form (${toponym.spec})`
+                }
+            });
+
+            for (const [kind, pos, gender] of [['demonym', 'noun', 'common'], ['adjective', 'adjective', null]]) {
+                const derived = toponym[kind];
+                if (!derived || exists(derived.nordum, pos)) continue;
+
+                senses.push({
+                    nordum: derived.nordum,
+                    sense: this.buildDerivedSense(derived, pos, gender, toponym)
+                });
+            }
+        }
+
+        return senses;
+    }
+
+    describe(toponym) {
+        return {
+            type: toponym.type,
+            ...(toponym.exonyms && { exonyms: toponym.exonyms }),
+            ...(toponym.variants && { variants: toponym.variants }),
+            ...(toponym.demonym && { demonym: toponym.demonym.nordum }),
+            ...(toponym.adjective && { adjective: toponym.adjective.nordum })
+        };
+    }
+
+    buildDerivedSense(derived, pos, gender, toponym) {
+        const inflections = this.inflect(derived.nordum, pos, gender);
+
+        // Adjectives of origin are not compared (spansk, not spanskere)
+        delete inflections.comparative;
+        delete inflections.superlative;
+
+        return {
+            english: derived.english,
+            pos,
+            gender,
+            cognateScore: 1,
+            langCount: 0,
+            frequency: 0,
+            sources: {},
+            inflections,
+            alignment: null,
+            toponym: { place: toponym.primary },
+            selectionReason: `Geographic name: ${pos === 'noun' ? 'demonym' : 'adjective'} of ${toponym.primary} (§5.5)`
+        };
+    }
+}
+
+module.exports = ToponymBuilder;
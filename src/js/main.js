@@ -3,6 +3,11 @@
  * Pan-Scandinavian Language Project
  */
 
+const NordumConverter = require('./nordum/converter');
+const CompoundSplitter = require('./nordum/compounds');
+const PhonologicalDistance = require('./nordum/phonological-distance');
+const NordumDerivation = require('./nordum/derivation');
+
 class NordumApp {
     constructor() {
         this.isInitialized = false;
@@ -10,6 +15,14 @@ class NordumApp {
         this.siteData = window.NORDUM_SITE || {};
         this.translations = window.NORDUM_I18N || {};
         this.dictionaryData = null;
+        this.knownWords = null;
+        this.toponymForms = null;
+        this.knownStems = null;
+        this.quickPhrases = null;
+        this.converter = new NordumConverter();
+        this.compounds = new CompoundSplitter();
+        this.phonologicalDistance = new PhonologicalDistance();
+        this.derivation = new NordumDerivation();
         
         this.components = new Map();
         this.utils = {};
@@ -305,6 +318,12 @@ class NordumApp {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
             this.dictionaryData = await response.json();
+            this.knownWords = null;
+            this.toponymForms = null;
+            this.knownStems = null;
+            this.quickPhrases = null;
+            this.converter.loadDictionary(this.dictionaryData);
+            this.phonologicalDistance.load(this.dictionaryData.soundCorrespondences);
             console.log(`Loaded dictionary with ${this.dictionaryData.metadata.entryCount} entries`);
         } catch (error) {
             console.error('Failed to load dictionary:', error);
@@ -331,19 +350,29 @@ class NordumApp {
                 }
             }
             
-            if (filter === 'all' || filter === 'english') {
-                if (entry.english && entry.english.toLowerCase().includes(query)) {
-                    matches = true;
+            // Glosses and source words belong to the individual senses
+            for (const sense of entry.senses || []) {
+                if (filter === 'all' || filter === 'english') {
+                    if (sense.english && sense.english.toLowerCase().includes(query)) {
+                        matches = true;
+                    }
                 }
-            }
-            
-            if (filter === 'all') {
-                // Also search in source languages
-                if (entry.sources) {
-                    for (const lang of Object.values(entry.sources)) {
-                        if (lang.word && lang.word.toLowerCase().includes(query)) {
-                            matches = true;
-                            break;
+
+                // Reflexive and particle verbs are found by their inflected forms too (tok opp)
+                if ((filter === 'all' || filter === 'nordum') && sense.multiword && sense.inflections) {
+                    if (Object.values(sense.inflections).some(form => typeof form === 'string' && form.includes(query))) {
+                        matches = true;
+                    }
+                }
+                
+                if (filter === 'all') {
+                    // Also search in source languages
+                    if (sense.sources) {
+                        for (const lang of Object.values(sense.sources)) {
+                            if (lang.word && lang.word.toLowerCase().includes(query)) {
+                                matches = true;
+                                break;
+                            }
                         }
                     }
                 }
@@ -355,14 +384,18 @@ class NordumApp {
         }
         
         // Sort by relevance (exact matches first, then by frequency)
+        const isExact = (entry) => entry.nordum.toLowerCase() === query ||
+            entry.senses.some(sense => sense.english && sense.english.toLowerCase() === query);
+        const frequency = (entry) => Math.max(0, ...entry.senses.map(sense => sense.frequency || 0));
+        
         results.sort((a, b) => {
-            const aExact = a.nordum.toLowerCase() === query || a.english.toLowerCase() === query;
-            const bExact = b.nordum.toLowerCase() === query || b.english.toLowerCase() === query;
+            const aExact = isExact(a);
+            const bExact = isExact(b);
             
             if (aExact && !bExact) return -1;
             if (!aExact && bExact) return 1;
             
-            return (b.frequency || 0) - (a.frequency || 0);
+            return frequency(b) - frequency(a);
         });
         
         return results.slice(0, 20); // Limit to 20 results
@@ -391,17 +424,18 @@ class NordumApp {
             };
         }
         
-        const words = text.toLowerCase().match(/\b\w+\b/g) || [];
+        const words = text.toLowerCase().match(/[\p{L}\p{M}]+/gu) || [];
         const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 0);
-        const knownWords = new Set(Object.keys(this.dictionaryData.entries));
+        const knownWords = this.getKnownWords();
         
         const errors = [];
         const uniqueWords = new Set(words);
         
         for (const word of uniqueWords) {
-            if (!knownWords.has(word)) {
-                // Find potential suggestions
-                const suggestions = this.findSuggestions(word);
+            if (!knownWords.has(word) && !this.isKnownCompound(word) && !this.isKnownDerivation(word)) {
+                // Source-language place names point to their endonym (Spanien → España)
+                const toponym = this.getToponymForms().get(word);
+                const suggestions = toponym ? [toponym] : this.findSuggestions(word);
                 errors.push({
                     word,
                     suggestions: suggestions.slice(0, 3)
@@ -419,14 +453,86 @@ class NordumApp {
         };
     }
     
+    getKnownWords() {
+        if (this.knownWords) return this.knownWords;
+        
+        // Headwords plus every inflected and accepted alternative form, and the
+        // words of reflexive and particle verbs (tar opp)
+        const knownWords = new Set();
+        const addForms = (forms) => {
+            if (typeof forms === 'string') {
+                forms.toLowerCase().split(/\s+/).forEach(word => knownWords.add(word));
+            } else if (forms && typeof forms === 'object') {
+                Object.values(forms).forEach(addForms);
+            }
+        };
+        
+        for (const [word, entry] of Object.entries(this.dictionaryData.entries)) {
+            addForms(word);
+            (entry.senses || []).forEach(sense => addForms(sense.inflections));
+        }
+        
+        this.knownWords = knownWords;
+        return knownWords;
+    }
+    
+    getToponymForms() {
+        if (this.toponymForms) return this.toponymForms;
+
+        // Source-language names of places, keyed lowercase, with the Nordum primary form
+        const toponymForms = new Map();
+        for (const entry of Object.values(this.dictionaryData.entries)) {
+            if (entry.alternativeOf) continue;
+
+            for (const sense of entry.senses || []) {
+                if (!sense.toponym || !sense.sources) continue;
+                for (const source of Object.values(sense.sources)) {
+                    if (!source.permitted) toponymForms.set(source.word.toLowerCase(), entry.nordum);
+                }
+            }
+        }
+
+        this.toponymForms = toponymForms;
+        return toponymForms;
+    }
+
+    getKnownStems() {
+        if (this.knownStems) return this.knownStems;
+
+        // Headwords with their parts of speech, for accepting regular derivations
+        const knownStems = new Map();
+        for (const [word, entry] of Object.entries(this.dictionaryData.entries)) {
+            const key = word.toLowerCase();
+            if (!knownStems.has(key)) knownStems.set(key, new Set());
+            (entry.senses || []).forEach(sense => knownStems.get(key).add(sense.pos));
+        }
+
+        this.knownStems = knownStems;
+        return knownStems;
+    }
+
+    isKnownDerivation(word) {
+        // Regular derivations of known stems are words too (vennlig, ulykkelighet)
+        const knownStems = this.getKnownStems();
+        return this.derivation.isDerived(word, stem => knownStems.get(stem));
+    }
+
+    isKnownCompound(word) {
+        // Productive compounds of known words are written as one word (arbeidsdag)
+        const knownWords = this.getKnownWords();
+        return Boolean(this.compounds.split(word, part => knownWords.has(part)));
+    }
+    
     findSuggestions(word) {
         if (!this.dictionaryData) return [];
         
         const entries = Object.keys(this.dictionaryData.entries);
         const suggestions = [];
         
+        // Rank by sound-aware distance, so bog suggests bok before bod
         for (const entry of entries) {
-            const distance = this.levenshteinDistance(word, entry);
+            if (Math.abs(entry.length - word.length) > 2) continue;
+            const distance = this.phonologicalDistance.distance(word, entry);
             if (distance <= 2 && distance > 0) {
                 suggestions.push({ word: entry, distance });
             }
@@ -436,26 +542,6 @@ class NordumApp {
             .sort((a, b) => a.distance - b.distance)
             .map(s => s.word);
     }
-    
-    levenshteinDistance(a, b) {
-        const matrix = Array(b.length + 1).fill().map(() => Array(a.length + 1).fill(0));
-        
-        for (let i = 0; i <= a.length; i++) matrix[0][i] = i;
-        for (let j = 0; j <= b.length; j++) matrix[j][0] = j;
-        
-        for (let j = 1; j <= b.length; j++) {
-            for (let i = 1; i <= a.length; i++) {
-                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
-                matrix[j][i] = Math.min(
-                    matrix[j][i - 1] + 1,
-                    matrix[j - 1][i] + 1,
-                    matrix[j - 1][i - 1] + cost
-                );
-            }
-        }
-        
-        return matrix[b.length][a.length];
-    }
 
     initLanguageSwitcher() {
         const languageToggle = this.utils.$('.language-toggle');
@@ -609,6 +695,9 @@ class NordumApp {
             spellCheck: (text) => {
                 return Promise.resolve(this.spellCheckText(text));
             },
+            convertToNordum: (text, fromLang) => {
+                return Promise.resolve(this.converter.convertText(text, fromLang));
+            },
             getDictionaryStats: () => {
                 return Promise.resolve({
                     totalEntries: this.dictionaryData?.metadata.entryCount || 0,
@@ -720,19 +809,7 @@ class NordumApp {
                 <h3>Search Results for "${query}" (${results.length} found)</h3>
             </div>
             <div class="results-list">
-                ${results.map(entry => `
-                    <div class="word-entry">
-                        <div class="word-header">
-                            <h4 class="word-nordum">${entry.nordum}</h4>
-                            <span class="word-pos">${entry.pos}</span>
-                            ${entry.gender ? `<span class="word-gender">${entry.gender}</span>` : ''}
-                        </div>
-                        <div class="word-definition">
-                            <strong>English:</strong> ${entry.english}
-                        </div>
-                        ${this.renderSourceLanguages(entry.sources)}
-                    </div>
-                `).join('')}
+                ${results.map(entry => this.renderWordEntry(entry)).join('')}
             </div>
         `;
         
@@ -754,19 +831,7 @@ class NordumApp {
                 <h3>Words starting with "${letter.toUpperCase()}" (${results.length} found)</h3>
             </div>
             <div class="results-list">
-                ${results.map(entry => `
-                    <div class="word-entry">
-                        <div class="word-header">
-                            <h4 class="word-nordum">${entry.nordum}</h4>
-                            <span class="word-pos">${entry.pos}</span>
-                            ${entry.gender ? `<span class="word-gender">${entry.gender}</span>` : ''}
-                        </div>
-                        <div class="word-definition">
-                            <strong>English:</strong> ${entry.english}
-                        </div>
-                        ${this.renderSourceLanguages(entry.sources)}
-                    </div>
-                `).join('')}
+                ${results.map(entry => this.renderWordEntry(entry)).join('')}
             </div>
         `;
         
@@ -784,8 +849,36 @@ class NordumApp {
         this.utils.$$('.letter-btn').forEach(btn => btn.classList.remove('active'));
     }
     
+    renderWordEntry(entry) {
+        // Homographs list each sense with its own part of speech, gloss and sources
+        const sensesHtml = entry.senses.map((sense, index) => `
+            <div class="word-sense">
+                <div class="word-header">
+                    ${entry.senses.length > 1 ? `<span class="sense-number">${index + 1}.</span>` : ''}
+                    <span class="word-pos">${sense.pos}</span>
+                    ${sense.gender ? `<span class="word-gender">${sense.gender}</span>` : ''}
+                </div>
+                <div class="word-definition">
+                    <strong>English:</strong> ${sense.english}
+                </div>
+                ${this.renderSourceLanguages(sense.sources)}
+            </div>
+        `).join('');
+        
+        return `
+            <div class="word-entry">
+                <h4 class="word-nordum">
+                    ${entry.nordum}
+                    ${entry.ipa ? `<span class="word-ipa">/${entry.ipa}/</span>` : ''}
+                </h4>
+                ${sensesHtml}
+            </div>
+        `;
+    }
+    
     renderSourceLanguages(sources) {
-        if (!sources) return '';
+        // Generated senses (numerals) have no source words
+        if (!sources || Object.keys(sources).length === 0) return '';
         
         const sourcesList = Object.entries(sources)
             .map(([lang, data]) => `<span class="source-word">${lang}: ${data.word}</span>`)
@@ -937,10 +1030,11 @@ class NordumApp {
         if (!this.dictionaryData) return;
         
         const entries = Object.values(this.dictionaryData.entries);
+        const senses = entries.flatMap(e => e.senses || []);
         const stats = {
-            nouns: entries.filter(e => e.pos === 'noun').length,
-            verbs: entries.filter(e => e.pos === 'verb').length,
-            adjectives: entries.filter(e => e.pos === 'adjective').length,
+            nouns: senses.filter(s => s.pos === 'noun').length,
+            verbs: senses.filter(s => s.pos === 'verb').length,
+            adjectives: senses.filter(s => s.pos === 'adjective').length,
             total: entries.length
         };
         
@@ -1278,7 +1372,7 @@ class NordumApp {
             // Quick phrase buttons
             this.utils.$$('.phrase-btn').forEach(btn => {
                 this.utils.on(btn, 'click', () => {
-                    const phrase = this.getQuickPhrase(btn.dataset.phrase);
+                    const phrase = this.getQuickPhrase(btn.dataset.phrase, fromLang.value);
                     inputText.value = phrase;
                     this.updateCharCount(phrase, 'input-char-count');
                     this.performTranslation(phrase, fromLang.value, toLang.value);
@@ -1315,6 +1409,14 @@ class NordumApp {
         }
 
         translateText(text, fromLang, toLang) {
+            // Source language to Nordum goes through the shared converter
+            if (toLang === 'nordum' && this.converter.sourceLanguages.includes(fromLang)) {
+                return this.converter.convertText(text, fromLang);
+            }
+
+            // Fixed expressions and idioms from the phrase lexicon translate in every direction
+            text = this.converter.translatePhrases(text, fromLang, toLang);
+
             // Mock translation logic - in a real implementation, this would use a translation API
             const translations = {
                 'hello': {
@@ -1435,16 +1537,24 @@ class NordumApp {
             }
         }
 
-        getQuickPhrase(phraseKey) {
-            const phrases = {
-                'hello': 'Hello, how are you?',
-                'thanks': 'Thank you for the help',
-                'understand': "I don't understand",
-                'help': 'Can you help me?',
-                'cost': 'How much does it cost?',
-                'goodbye': 'Take care / Goodbye'
-            };
-            return phrases[phraseKey] || '';
+        // Quick phrases come from the phrase lexicon, in the selected source language or Nordum
+        getQuickPhrase(phraseKey, language) {
+            if (!this.quickPhrases && this.dictionaryData) {
+                this.quickPhrases = new Map();
+                for (const entry of Object.values(this.dictionaryData.entries)) {
+                    for (const sense of entry.senses || []) {
+                        if (sense.phrase && sense.phrase.quick) {
+                            this.quickPhrases.set(sense.phrase.quick, { nordum: entry.nordum, sources: sense.sources || {} });
+                        }
+                    }
+                }
+            }
+
+            const phrase = this.quickPhrases && this.quickPhrases.get(phraseKey);
+            if (!phrase) return '';
+
+            const source = phrase.sources[language];
+            return source ? source.word : phrase.nordum;
         }
 
         getLanguageCode(language) {
@@ -0,0 +1,88 @@
+/**
+ * Nordum Compound Splitter
+ *
+ * Decomposes compounds ("arbeidsdag" → arbeid + s + dag) into known words and
+ * joins parts back together. Which words are known is up to the caller, so the
+ * same module splits source-language words during the dictionary build and
+ * accepts productive Nordum compounds in the spellchecker.
+ */
+class CompoundSplitter {
+    constructor(options = {}) {
+        this.linkingElements = options.linkingElements || ['s', 'e'];
+        this.minPartLength = options.minPartLength || 3;
+        this.maxParts = options.maxParts || 3;
+    }
+
+    /**
+     * Split a word into known parts, returning { parts, links, elided } or null
+     *
+     * links[i] is the linking element between parts[i] and parts[i + 1] ('' for
+     * none). A modifier may drop its final -e before a linking element, as in
+     * Danish arbejde + s → arbejds-, which elided[i] records. The split with
+     * the fewest parts wins, then the one with the fewest linking elements.
+     */
+    split(word, isKnown) {
+        if (!word || word.length < this.minPartLength * 2) return null;
+
+        const memo = new Map();
+        const best = (start, depth) => {
+            const key = `${start}:${depth}`;
+            if (memo.has(key)) return memo.get(key);
+
+            let result = null;
+            const rest = word.slice(start);
+
+            // The remainder is a known head
+            if (depth > 0 && rest.length >= this.minPartLength && isKnown(rest)) {
+                result = { parts: [rest], links: [], elided: [] };
+            }
+
+            if (!result && depth < this.maxParts - 1) {
+                for (let end = start + this.minPartLength; end <= word.length - this.minPartLength; end++) {
+                    const written = word.slice(start, end);
+
+                    for (const link of ['', ...this.linkingElements]) {
+                        if (link && !word.startsWith(link, end)) continue;
+
+                        const elided = !isKnown(written) && Boolean(link) && isKnown(written + 'e');
+                        if (!isKnown(written) && !elided) continue;
+
+                        const tail = best(end + link.length, depth + 1);
+                        if (!tail) continue;
+
+                        const candidate = {
+                            parts: [elided ? written + 'e' : written, ...tail.parts],
+                            links: [link, ...tail.links],
+                            elided: [elided, ...tail.elided]
+                        };
+                        if (!result || this.compare(candidate, result) < 0) {
+                            result = candidate;
+                        }
+                    }
+                }
+            }
+
+            memo.set(key, result);
+            return result;
+        };
+
+        return best(0, 0);
+    }
+
+    compare(a, b) {
+        const linkCount = (split) => split.links.filter(Boolean).length;
+        return a.parts.length - b.parts.length || linkCount(a) - linkCount(b);
+    }
+
+    /**
+     * Join parts with their linking elements, dropping the final -e of elided modifiers
+     */
+    join(parts, links = [], elided = []) {
+        return parts.map((part, i) => {
+            const written = elided[i] && part.endsWith('e') ? part.slice(0, -1) : part;
+            return written + (links[i] || '');
+        }).join('');
+    }
+}
+
+module.exports = CompoundSplitter;
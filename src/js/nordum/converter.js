@@ -0,0 +1,362 @@
+/**
+ * Nordum Text Converter
+ *
+ * Converts running Bokmål, Danish or Swedish text into Nordum. The module is
+ * plain CommonJS without Node or DOM dependencies so that it can be required
+ * by the build scripts and bundled into the web tools alike.
+ */
+const RewriteRuleSet = require('./rewrite-rules');
+const NordumNumerals = require('./numerals');
+const NordumMultiwordVerbs = require('./multiword-verbs');
+const NordumLoanwords = require('./loanwords');
+const PhonologicalDistance = require('./phonological-distance');
+const sourceNumerals = require('../../../data/rules/source-numerals.json');
+const defaultSourceInflections = require('../../../data/rules/source-inflections.json');
+
+class NordumConverter {
+    constructor(options = {}) {
+        this.sourceLanguages = ['norwegian', 'danish', 'swedish'];
+
+        // Ordered rewrite rules from data/rules/nordum-rules.json
+        this.rules = options.rules instanceof RewriteRuleSet
+            ? options.rules
+            : new RewriteRuleSet(options.rules);
+
+        // Loanword detection and adaptation from data/rules/loanwords.json
+        this.loanwords = options.loanwords || new NordumLoanwords();
+        this.englishLoanwords = this.loanwords.preserved;
+
+        // Numerals from data/rules/numerals.json; Danish and Swedish ones are read
+        // with their own tables and respelled in Nordum (halvfems → nitti)
+        this.numerals = options.numerals || new NordumNumerals();
+        this.norwegianNumbers = this.numerals.englishCardinals();
+        this.numeralParsers = {
+            norwegian: this.numerals,
+            danish: new NordumNumerals(sourceNumerals.danish),
+            swedish: new NordumNumerals(sourceNumerals.swedish)
+        };
+
+        // Source word lookup per language, filled from dictionary.json. A headword only
+        // stands in for source words it is a cognate or respelling of (gang is not tid)
+        this.lexicon = new Map();
+        this.distance = options.distance || new PhonologicalDistance();
+        this.minCognateSimilarity = this.distance.learning.minSimilarity;
+        this.sourceInflections = options.sourceInflections || defaultSourceInflections;
+
+        // Phrases of several words (tager op → tar opp, på grund af → på grunn av), matched longest first
+        this.multiwordVerbs = new NordumMultiwordVerbs();
+        this.phrases = new Map();
+        this.maxPhraseWords = 0;
+
+        if (options.dictionary) {
+            this.loadDictionary(options.dictionary);
+        }
+    }
+
+    /**
+     * Build the source word → Nordum lookup from exported dictionary data
+     */
+    loadDictionary(dictionaryData) {
+        this.lexicon.clear();
+        this.phrases.clear();
+        this.maxPhraseWords = 0;
+        if (!dictionaryData || !dictionaryData.entries) return this;
+
+        const inflected = [];
+        for (const entry of Object.values(dictionaryData.entries)) {
+            // Alternative spellings point back to their main entry
+            if (!entry || !entry.nordum || entry.alternativeOf || !entry.senses) continue;
+
+            for (const sense of entry.senses) {
+                if (!sense.sources) continue;
+
+                for (const [lang, source] of Object.entries(sense.sources)) {
+                    if (!source || !source.word) continue;
+
+                    // Fixed expressions and idioms translate as a whole, between any two languages
+                    if (sense.phrase) {
+                        this.addPhrase(lang, source.word, entry.nordum, sense, this.getPhraseRenderings(entry, sense));
+                        continue;
+                    }
+
+                    // Reflexive and particle verbs keep the tense of the source verb
+                    if (sense.multiword) {
+                        for (const { form, phrase } of this.multiwordVerbs.sourceForms(source.word, lang)) {
+                            this.addPhrase(lang, phrase, (sense.inflections || {})[form] || entry.nordum, sense);
+                        }
+                        continue;
+                    }
+
+                    // Permitted place-name exonyms (Tyskland) stay as written
+                    if (source.permitted) {
+                        this.addWord(lang, source.word, source.word, sense);
+                        continue;
+                    }
+                    if (!this.isRespelling(source.word, lang, entry.nordum, sense)) continue;
+
+                    this.addWord(lang, source.word, entry.nordum, sense);
+                    inflected.push({ lang, word: source.word, sense });
+                }
+
+                if (sense.phrase) {
+                    this.addPhrase('nordum', entry.nordum, entry.nordum, sense, this.getPhraseRenderings(entry, sense));
+                }
+            }
+        }
+
+        // Inflected source forms come after all lemmas, so they never hide one (kjører → kører)
+        for (const { lang, word, sense } of inflected) {
+            for (const { form, nordum } of this.inflectSource(word.toLowerCase(), lang, sense)) {
+                this.addWord(lang, form, nordum, sense);
+            }
+        }
+
+        return this;
+    }
+
+    // Entries and senses arrive best-first, so the first mapping wins
+    addWord(lang, word, nordum, sense) {
+        if (!this.lexicon.has(lang)) {
+            this.lexicon.set(lang, new Map());
+        }
+
+        const words = this.lexicon.get(lang);
+        const key = word.toLowerCase();
+        if (!words.has(key)) {
+            words.set(key, { nordum, pos: sense.pos, english: sense.english });
+        }
+    }
+
+    /**
+     * Whether a headword is the source word respelled (jeg → jei, kjøre → køre)
+     * rather than another word chosen for the concept. Curated closed-class
+     * words and place names map by design.
+     */
+    isRespelling(word, lang, nordum, sense) {
+        if (sense.closedClass || sense.toponym) return true;
+
+        const converted = this.convertWord(word.toLowerCase(), lang);
+        return this.distance.similarity(converted, nordum.toLowerCase()) >= this.minCognateSimilarity;
+    }
+
+    /**
+     * Regular inflected forms of a source lemma with the Nordum form of the same
+     * inflection: Norwegian hus → husene → the plural definite of the headword
+     */
+    inflectSource(lemma, lang, sense) {
+        const table = (this.sourceInflections[lang] || {})[sense.pos];
+        if (!table || !sense.inflections) return [];
+
+        const forms = [];
+        for (const [slot, endings] of Object.entries(table)) {
+            const nordum = slot.split('.').reduce((value, key) => value && value[key], sense.inflections);
+            if (typeof nordum !== 'string') continue;
+
+            for (const ending of endings) {
+                // The unstressed -e/-a of the lemma gives way to a vowel ending (kjøre → kjører)
+                const stem = /^[aeiouyæøåäö]/.test(ending) && /[^aeiouyæøåäö][ae]$/.test(lemma) && lemma.length > 2
+                    ? lemma.slice(0, -1)
+                    : lemma;
+                forms.push({ form: stem + ending, nordum });
+            }
+        }
+        return forms;
+    }
+
+    /**
+     * Map a phrase to its Nordum rendering, and for phrase lexicon entries to
+     * its rendering in every language; the first mapping wins
+     */
+    addPhrase(lang, phrase, nordum, sense, renderings = null) {
+        const words = phrase.toLowerCase().trim().split(/\s+/);
+        if (!this.phrases.has(lang)) {
+            this.phrases.set(lang, new Map());
+        }
+
+        const phrases = this.phrases.get(lang);
+        const key = words.join(' ');
+        if (!phrases.has(key)) {
+            phrases.set(key, { nordum, pos: sense.pos, english: sense.english, ...(renderings && { renderings }) });
+            this.maxPhraseWords = Math.max(this.maxPhraseWords, words.length);
+        }
+    }
+
+    getPhraseRenderings(entry, sense) {
+        const renderings = { nordum: entry.nordum, english: sense.english };
+        for (const [lang, source] of Object.entries(sense.sources)) {
+            if (source && source.word) renderings[lang] = source.word;
+        }
+        return renderings;
+    }
+
+    /**
+     * Translate the known phrases of a text from one language to another
+     * ('nordum' or a source language), leaving all other words as written
+     */
+    translatePhrases(text, fromLanguage, toLanguage) {
+        if (!text || typeof text !== 'string') return '';
+
+        return text.replace(/[A-Za-zÀ-ÖØ-öø-ÿ]+(?:[\s-]+[A-Za-zÀ-ÖØ-öø-ÿ]+)*/g, run => {
+            const pieces = run.split(/([\s-]+)/);
+            let output = '';
+
+            for (let i = 0; i < pieces.length; i += 2) {
+                const phrase = this.matchPhrase(pieces, i, fromLanguage);
+                const rendering = phrase && phrase.renderings && phrase.renderings[toLanguage];
+                if (rendering) {
+                    output += this.matchCase(pieces.slice(i, phrase.end + 1).join(''), rendering);
+                    i = phrase.end;
+                } else {
+                    output += pieces[i];
+                }
+
+                if (i + 1 < pieces.length) output += pieces[i + 1];
+            }
+
+            return output;
+        });
+    }
+
+    /**
+     * Convert running text, keeping case, punctuation and whitespace intact
+     */
+    convertText(text, sourceLanguage) {
+        if (!text || typeof text !== 'string') return '';
+        if (!this.sourceLanguages.includes(sourceLanguage)) return text;
+
+        return text.replace(/[A-Za-zÀ-ÖØ-öø-ÿ]+(?:[\s-]+[A-Za-zÀ-ÖØ-öø-ÿ]+)*/g, run => this.convertRun(run, sourceLanguage));
+    }
+
+    /**
+     * Convert words separated only by whitespace or hyphens, respelling
+     * numeral expressions ("to hundre og femti") and known phrases
+     * ("tager op") as a whole
+     */
+    convertRun(run, sourceLanguage) {
+        const pieces = run.split(/([\s-]+)/);  // Words at even indices, separators at odd ones
+        const parser = this.numeralParsers[sourceLanguage];
+        let output = '';
+
+        for (let i = 0; i < pieces.length; i += 2) {
+            const numeral = parser && this.matchNumeral(pieces, i, parser);
+            const phrase = !numeral && this.matchPhrase(pieces, i, sourceLanguage);
+            if (numeral) {
+                output += this.matchCase(pieces.slice(i, numeral.end + 1).join(''), numeral.nordum);
+                i = numeral.end;
+            } else if (phrase) {
+                output += this.matchCase(pieces.slice(i, phrase.end + 1).join(''), phrase.nordum);
+                i = phrase.end;
+            } else {
+                output += this.matchCase(pieces[i], this.convertToken(pieces[i].toLowerCase(), sourceLanguage));
+            }
+
+            if (i + 1 < pieces.length) output += pieces[i + 1];
+        }
+
+        return output;
+    }
+
+    /**
+     * Longest numeral expression starting at pieces[start], as { nordum, end }
+     */
+    matchNumeral(pieces, start, parser) {
+        let end = start;
+        while (end < pieces.length && parser.isNumeralWord(pieces[end])) end += 2;
+
+        for (let last = end - 2; last >= start; last -= 2) {
+            const words = pieces.slice(start, last + 1).filter((_, j) => j % 2 === 0);
+            const parsed = parser.parse(words.join(' '));
+            if (!parsed) continue;
+
+            // A lone "en"/"et" is usually the article, and a lone "halv" an adjective
+            if (words.length === 1 && (parsed.fraction || Math.abs(parsed.value) === 1)) return null;
+
+            return { nordum: this.numerals.format(parsed), end: last };
+        }
+
+        return null;
+    }
+
+    /**
+     * Longest known phrase starting at pieces[start], as { nordum, renderings, end }
+     */
+    matchPhrase(pieces, start, sourceLanguage) {
+        const phrases = this.phrases.get(sourceLanguage);
+        if (!phrases) return null;
+
+        const available = Math.floor((pieces.length - start + 1) / 2);
+        for (let count = Math.min(this.maxPhraseWords, available); count >= 2; count--) {
+            const end = start + (count - 1) * 2;
+            const key = pieces.slice(start, end + 1).filter((_, j) => j % 2 === 0).join(' ').toLowerCase();
+            const found = phrases.get(key);
+            if (found) return { ...found, end };
+        }
+
+        return null;
+    }
+
+    /**
+     * Convert a single lowercase token, preferring dictionary knowledge over rules
+     */
+    convertToken(word, sourceLanguage) {
+        const known = this.lexicon.get(sourceLanguage)?.get(word);
+        if (known) {
+            return known.nordum;
+        }
+
+        return this.convertWord(word, sourceLanguage);
+    }
+
+    // Apply Nordum-specific rules
+    convertWord(word, sourceLanguage, english, pos) {
+        // 1. The English terms of spec §2.2 stay unchanged
+        if (english && this.englishLoanwords.has(english.toLowerCase())) {
+            return english.toLowerCase();
+        }
+
+        // 2. Loans with an adaptation rule are respelled (station → stasjon)
+        const loan = this.loanwords.assess({ [sourceLanguage]: { word } });
+        if (loan && loan.decision === 'adapt') {
+            return loan.form;
+        }
+
+        // 3. Norwegian number system
+        for (const [norNum, engNum] of this.norwegianNumbers.entries()) {
+            if (english && english.toLowerCase() === engNum) {
+                return norNum;
+            }
+        }
+
+        // 4. Question words, morphology, sound patterns and orthography, in file order
+        return this.rules.apply(word.toLowerCase(), { pos });
+    }
+
+    // Apply morphological transformation during word selection
+    applyMorphologicalTransformation(word, pos) {
+        return this.rules.apply(word, { pos, groups: ['morphology'] });
+    }
+
+    // Apply systematic sound pattern transformations
+    applySoundPatterns(word) {
+        return this.rules.apply(word, { groups: ['sound'] });
+    }
+
+    /**
+     * Carry the capitalisation of the source token over to its conversion
+     */
+    matchCase(original, converted) {
+        if (!converted) return original;
+
+        if (original.length > 1 && original === original.toUpperCase()) {
+            return converted.toUpperCase();
+        }
+
+        if (original[0] === original[0].toUpperCase()) {
+            return converted.charAt(0).toUpperCase() + converted.slice(1);
+        }
+
+        return converted;
+    }
+}
+
+module.exports = NordumConverter;
@@ -0,0 +1,109 @@
+const defaultAffixes = require('../../../data/rules/derivation.json');
+
+/**
+ * Nordum Derivational Morphology
+ *
+ * Knows the productive affixes of data/rules/derivation.json (-het, -ing,
+ * -ning, -else, -skap, agent -er, -lig, -som and u-) with the part of speech
+ * they attach to, the part of speech and gender they produce and their
+ * spelling adjustments. Which words exist is up to the caller, so the same
+ * module links derived entries to their bases during the dictionary build
+ * and accepts regular derivations of known stems in the spellchecker.
+ */
+class NordumDerivation {
+    constructor(data = defaultAffixes) {
+        this.suffixes = (data.suffixes || []).slice().sort((a, b) => b.suffix.length - a.suffix.length);
+        this.prefixes = data.prefixes || [];
+        this.endings = data.endings || {};
+        this.lexicalized = new Set(data.lexicalized || []);  // Look derived but are not (billig is not bil + -lig)
+        this.minStem = data.minStem || 2;
+    }
+
+    /**
+     * Derive a word from its base, e.g. derive('lære', 'er') → lærer
+     */
+    derive(base, suffix) {
+        const rule = this.suffixes.find(candidate => candidate.suffix === suffix);
+        if (!rule) return null;
+
+        const stem = rule.dropE && this.endsInUnstressedE(base) ? base.slice(0, -1) : base;
+        return stem + rule.suffix;
+    }
+
+    endsInUnstressedE(word) {
+        return word.length > 2 && /[^aeiouyæøåäö]e$/.test(word);
+    }
+
+    /**
+     * Every analysis of a word as a derivation of an existing base
+     *
+     * `lookup(base)` returns the parts of speech of a known word (an array or
+     * Set, empty when unknown). Bases may themselves be derived, up to
+     * `depth` levels (ulykkelighet → ulykkelig → lykkelig → lykke). Returns
+     * [{ base, affix, pos, gender, basePos }], shortest affix first, so that
+     * ulovlig is u- + lovlig rather than ulov + -lig, and lovlig is lov + -lig
+     * before love + -lig.
+     */
+    analyze(word, lookup, depth = 3) {
+        if (!word || depth <= 0 || this.lexicalized.has(word)) return [];
+
+        const posOf = (base) => {
+            const known = new Set(lookup(base) || []);
+            if (depth > 1) {
+                this.analyze(base, lookup, depth - 1).forEach(analysis => known.add(analysis.pos));
+            }
+            return known;
+        };
+
+        const analyses = [];
+        for (const rule of this.suffixes) {
+            if (!word.endsWith(rule.suffix)) continue;
+
+            const stem = word.slice(0, -rule.suffix.length);
+            if (stem.length < this.minStem) continue;
+
+            const bases = rule.dropE && !stem.endsWith('e') ? [stem, `${stem}e`] : [stem];
+            for (const base of bases) {
+                if (base.length < (rule.minBase || this.minStem)) continue;
+
+                const basePos = rule.input.find(pos => posOf(base).has(pos));
+                if (basePos) {
+                    analyses.push({ base, affix: `-${rule.suffix}`, pos: rule.output, gender: rule.gender || null, basePos });
+                }
+            }
+        }
+
+        for (const rule of this.prefixes) {
+            if (!word.startsWith(rule.prefix)) continue;
+
+            const base = word.slice(rule.prefix.length);
+            if (base.length < this.minStem + 1) continue;
+
+            const basePos = rule.input.find(pos => posOf(base).has(pos));
+            if (basePos) {
+                analyses.push({ base, affix: `${rule.prefix}-`, pos: basePos, gender: null, basePos });
+            }
+        }
+
+        return analyses.sort((a, b) => a.affix.length - b.affix.length);
+    }
+
+    /**
+     * Whether a word is a regular derivation of a known stem, inflected or not (frihetar)
+     */
+    isDerived(word, lookup) {
+        if (this.analyze(word, lookup).length > 0) return true;
+
+        for (const [pos, endings] of Object.entries(this.endings)) {
+            for (const ending of endings) {
+                if (!word.endsWith(ending) || word.length - ending.length < this.minStem * 2) continue;
+
+                const stem = word.slice(0, -ending.length);
+                if (this.analyze(stem, lookup).some(analysis => analysis.pos === pos)) return true;
+            }
+        }
+        return false;
+    }
+}
+
+module.exports = NordumDerivation;
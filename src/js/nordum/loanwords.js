@@ -0,0 +1,108 @@
+const RewriteRuleSet = require('./rewrite-rules');
+const defaultRules = require('../../../data/rules/loanwords.json');
+
+/**
+ * Nordum Loanword Detection and Adaptation
+ *
+ * Scores source words as English loans (spec §2.2) from the lexicon of
+ * data/rules/loanwords.json, spelling cues (c, w, sh, -tion) and how many
+ * source languages write a word like its English gloss, then decides what
+ * Nordum does with the loan:
+ *
+ *   keep     a §2.2 preserved term (computer) or shared by several sources
+ *   adapt    respelled by an adaptation rule (station → stasjon)
+ *   replace  used by a single source; the native words of the others win
+ *
+ * The build, the importers and the converter share this module.
+ */
+class NordumLoanwords {
+    constructor(data = defaultRules) {
+        this.preserved = new Set(data.preserved || []);
+        this.lexicon = new Set([...(data.lexicon || []), ...this.preserved]);
+        this.variants = new Map(Object.entries(data.variants || {}));
+        this.cues = (data.cues || []).map(cue => ({ ...cue, regex: new RegExp(cue.pattern) }));
+        this.agreement = data.agreement || { gloss: 0.3, perLanguage: 0.1 };
+        this.threshold = data.threshold || 0.6;
+        this.minAgreement = data.minAgreement || 2;
+        this.defaultGender = (data.gender || {}).default || 'common';
+
+        // Suffix rules (-tion, -ism) decide that a loan is adapted; the others only respell adapted words
+        this.adaptations = new RewriteRuleSet({ classes: data.classes || {}, rules: data.adaptations || [] });
+        this.suffixRules = new Set((data.adaptations || []).filter(rule => rule.env === '_#').map(rule => rule.id));
+    }
+
+    /**
+     * Lowercase form of a word, with lexicon variants mapped to their entry (e-mail → email)
+     */
+    normalize(word) {
+        const form = String(word || '').trim().toLowerCase();
+        return this.variants.get(form) || form;
+    }
+
+    /**
+     * Loan score of a word as { score, cues }; `languages` is the number of
+     * source languages that write it this way
+     */
+    score(word, english = '', languages = 1) {
+        const form = this.normalize(word);
+        if (this.lexicon.has(form)) return { score: 1, cues: ['lexicon'] };
+
+        const cues = this.cues.filter(cue => cue.regex.test(form));
+        let score = cues.reduce((sum, cue) => sum + cue.weight, 0);
+        if (english && form === english.toLowerCase()) {
+            score += this.agreement.gloss + this.agreement.perLanguage * (languages - 1);
+        }
+
+        return { score: Math.min(1, Math.round(score * 100) / 100), cues: cues.map(cue => cue.id) };
+    }
+
+    isLoanword(word, english = '') {
+        return this.score(word, english).score >= this.threshold;
+    }
+
+    /**
+     * Decide on the loans among a concept's translations
+     *
+     * Returns null when no source word is a loan, otherwise
+     * { decision, form, word, languages, score, cues, rules }. `form` is the
+     * Nordum spelling, or null when the loan is replaced.
+     */
+    assess(translations, english = '') {
+        const gloss = (english || '').toLowerCase();
+        const byWord = new Map();
+        for (const [lang, translation] of Object.entries(translations || {})) {
+            if (!translation || !translation.word) continue;
+
+            const word = this.normalize(translation.word);
+            byWord.set(word, [...(byWord.get(word) || []), lang]);
+        }
+
+        // The technical terms §2.2 lists are kept even where every source translates them
+        if (this.preserved.has(gloss)) {
+            return { decision: 'keep', form: gloss, word: gloss, languages: byWord.get(gloss) || [], score: 1, cues: ['preserved'] };
+        }
+
+        let best = null;
+        for (const [word, languages] of byWord) {
+            const { score, cues } = this.score(word, gloss, languages.length);
+            if (score >= this.threshold && (!best || score > best.score)) {
+                best = { word, languages, score, cues };
+            }
+        }
+        if (!best) return null;
+
+        const adapted = this.adaptations.applyWithTrace(best.word);
+        if (adapted.applied.some(id => this.suffixRules.has(id))) {
+            return { decision: 'adapt', form: adapted.word, ...best, rules: adapted.applied };
+        }
+
+        // Any other loan is kept only when the sources agree on it (service yields to tjeneste/tjänst)
+        if (best.languages.length >= this.minAgreement || byWord.size === 1) {
+            return { decision: 'keep', form: best.word, ...best };
+        }
+
+        return { decision: 'replace', form: null, ...best };
+    }
+}
+
+module.exports = NordumLoanwords;
@@ -0,0 +1,109 @@
+const defaultRules = require('../../../data/rules/multiword-verbs.json');
+
+/**
+ * Nordum Reflexive and Particle Verbs
+ *
+ * A multiword verb is a verb followed by the reflexive pronoun sei (§4.6.2),
+ * a particle (ta opp) or both (sette sei ned), as listed in
+ * data/rules/multiword-verbs.json. Only the verb inflects; the rest of the
+ * phrase follows every finite form unchanged (tar opp, tok opp). The same
+ * structure is read from the source spellings (tage op, ta upp) so that the
+ * converter can recognize them in running text.
+ */
+class NordumMultiwordVerbs {
+    constructor(data = defaultRules) {
+        this.reflexive = data.reflexive || { nordum: 'sei', sources: {} };
+        this.particles = data.particles || {};
+        this.present = data.present || {};
+        this.finiteForms = data.finiteForms || ['infinitive', 'present', 'past', 'supine', 'imperative'];
+    }
+
+    /**
+     * Structure of a phrase as { verb, reflexive, particle, type, tail }, or
+     * null when it is not a verb with a reflexive and/or particle
+     *
+     * `language` is 'nordum' or a source language, whose spellings of the
+     * reflexive and particles are used (sig, op).
+     */
+    parse(phrase, language = 'nordum') {
+        const words = String(phrase || '').trim().toLowerCase().split(/\s+/);
+        if (words.length < 2 || words.length > 3) return null;
+
+        const [verb, ...rest] = words;
+        const reflexive = rest[0] === this.reflexivePronoun(language);
+        if (reflexive) rest.shift();
+
+        const particle = rest.length === 1 ? this.findParticle(rest[0], language) : null;
+        if (rest.length > 1 || (rest.length === 1 && !particle) || (!reflexive && !particle)) return null;
+
+        return {
+            verb,
+            reflexive,
+            particle,
+            type: reflexive && particle ? 'reflexive-particle' : reflexive ? 'reflexive' : 'particle',
+            tail: words.slice(1).join(' ')
+        };
+    }
+
+    reflexivePronoun(language) {
+        return language === 'nordum' ? this.reflexive.nordum : (this.reflexive.sources || {})[language];
+    }
+
+    /**
+     * Nordum particle for a particle written in `language` (danish op → opp)
+     */
+    findParticle(word, language) {
+        if (language === 'nordum') {
+            return this.particles[word] ? word : null;
+        }
+        const match = Object.entries(this.particles).find(([, spellings]) => spellings[language] === word);
+        return match ? match[0] : null;
+    }
+
+    /**
+     * Inflections of a multiword verb from those of its verb: the tail follows
+     * every finite form, and participles, which are used without it, are dropped
+     */
+    inflect(structure, verbInflections) {
+        const inflections = {};
+        const append = form => `${form} ${structure.tail}`;
+
+        for (const form of this.finiteForms) {
+            if (typeof verbInflections[form] === 'string') {
+                inflections[form] = append(verbInflections[form]);
+            }
+        }
+
+        if (verbInflections.accepted) {
+            inflections.accepted = {};
+            for (const [form, values] of Object.entries(verbInflections.accepted)) {
+                if (this.finiteForms.includes(form)) {
+                    inflections.accepted[form] = [].concat(values).map(append);
+                }
+            }
+            if (Object.keys(inflections.accepted).length === 0) delete inflections.accepted;
+        }
+
+        return inflections;
+    }
+
+    /**
+     * Spellings of a source phrase in running text with the Nordum form they
+     * correspond to: the citation form and the regular present (tager op → present)
+     */
+    sourceForms(phrase, language) {
+        const structure = this.parse(phrase, language);
+        if (!structure) return [];
+
+        const forms = [{ form: 'infinitive', phrase: `${structure.verb} ${structure.tail}` }];
+        for (const [strip, add] of this.present[language] || []) {
+            if (strip && !structure.verb.endsWith(strip)) continue;
+
+            const verb = structure.verb.slice(0, structure.verb.length - strip.length) + add;
+            forms.push({ form: 'present', phrase: `${verb} ${structure.tail}` });
+        }
+        return forms;
+    }
+}
+
+module.exports = NordumMultiwordVerbs;
@@ -0,0 +1,396 @@
+const defaultNumerals = require('../../../data/rules/numerals.json');
+
+/**
+ * Nordum Numerals
+ *
+ * Spells integers as Nordum cardinals, ordinals and fractions following the
+ * regular decimal system of spec §2.4, and parses Nordum numeral words back
+ * into numbers. Tens and units are written together (femtitre), scale words
+ * apart (to hundre og femtitre), and "og" joins a scale word to a remainder
+ * below hundred (tusen og fem).
+ *
+ * Given the tables of a source language (data/rules/source-numerals.json) the
+ * same parser reads Danish vigesimal numerals (syvoghalvfems) and Swedish ones
+ * (tvåhundrafemtio); format() then respells the result in Nordum.
+ */
+class NordumNumerals {
+    constructor(data = defaultNumerals) {
+        this.data = data;
+        this.cardinals = new Map(Object.entries(data.cardinals).map(([value, word]) => [Number(value), word]));
+        this.ordinals = new Map(Object.entries(data.ordinals).map(([value, word]) => [Number(value), word]));
+        this.scales = [...data.scales].sort((a, b) => b.value - a.value);
+        this.conjunction = data.conjunction || null;
+        this.unitsBeforeTens = Boolean(data.unitsBeforeTens);  // Danish fireogtyve
+        this.fractions = data.fractions || {};
+
+        this.morphemes = this.buildMorphemes();
+    }
+
+    /**
+     * Every numeral word the parser understands, with its value and role
+     */
+    buildMorphemes() {
+        const morphemes = new Map();
+        const variants = this.data.variants || {};
+        const typeOf = (value) => value >= 100 ? 'scale' : (value >= 20 ? 'tens' : (value >= 10 ? 'teen' : 'unit'));
+        const add = (word, value, extra = {}) => {
+            if (!morphemes.has(word)) {
+                morphemes.set(word, { value, type: typeOf(value), ordinal: false, neuter: false, ...extra });
+            }
+        };
+
+        this.cardinals.forEach((word, value) => add(word, value));
+        this.ordinals.forEach((word, value) => add(word, value, { ordinal: true }));
+        Object.entries(this.data.neuter || {}).forEach(([value, word]) => add(word, Number(value), { neuter: true }));
+        for (const scale of this.scales) {
+            add(scale.singular, scale.value);
+            if (scale.plural) add(scale.plural, scale.value);
+            add(scale.ordinal, scale.value, { ordinal: true });
+        }
+
+        Object.entries(variants.words || {}).forEach(([word, value]) => add(word, value));
+        Object.entries(variants.neuter || {}).forEach(([word, value]) => add(word, value, { neuter: true }));
+        Object.entries(variants.ordinals || {}).forEach(([word, value]) => add(word, value, { ordinal: true }));
+        Object.entries(variants.scales || {}).forEach(([word, value]) => add(word, value));
+
+        return morphemes;
+    }
+
+    /**
+     * Spell a cardinal: 253 → "to hundre og femtitre"; { gender: 'neuter' } gives "ett"
+     */
+    cardinal(number, options = {}) {
+        if (number === 1 && options.gender === 'neuter' && this.data.neuter) {
+            return this.data.neuter['1'];
+        }
+        return this.spell(number, false);
+    }
+
+    /**
+     * Spell an ordinal: 70 → "syttiende", 21 → "tjueførste"
+     */
+    ordinal(number) {
+        return this.spell(number, true);
+    }
+
+    /**
+     * Spell a fraction: 1/2 → "en halv", 2/3 → "to tredjedelar"
+     */
+    fraction(numerator, denominator) {
+        if (!Number.isInteger(denominator) || denominator < 2) {
+            throw new RangeError(`Invalid fraction denominator: ${denominator}`);
+        }
+
+        const count = this.cardinal(numerator);
+        const word = (this.fractions.words || {})[denominator];
+        if (word) {
+            return `${count} ${word}`;
+        }
+
+        // Scale denominators use the bare scale word: hundredel, tusendel
+        const scale = this.scales.find(({ value }) => value === denominator);
+        const base = scale ? scale.singular : this.ordinal(denominator);
+        return numerator === 1
+            ? `${count} ${base}${this.fractions.suffix}`
+            : `${count} ${base}${this.fractions.pluralSuffix}`;
+    }
+
+    /**
+     * Spell a parse result in canonical Nordum: "sju millioner" → "syv millionar"
+     */
+    format(result) {
+        if (result.fraction) {
+            return this.fraction(result.numerator, result.denominator);
+        }
+        if (result.ordinal) {
+            return this.ordinal(result.value);
+        }
+        return this.cardinal(result.value, { gender: result.neuter ? 'neuter' : null });
+    }
+
+    spell(number, ordinal) {
+        if (!Number.isSafeInteger(number)) {
+            throw new RangeError(`Cannot spell ${number}: not a safe integer`);
+        }
+        if (number < 0) {
+            return `${this.data.minus} ${this.spell(-number, ordinal)}`;
+        }
+        if (number < 100) {
+            return this.spellBelowHundred(number, ordinal);
+        }
+
+        const scale = this.scales.find(({ value }) => value <= number);
+        if (number >= scale.value * 1000 && scale === this.scales[0]) {
+            throw new RangeError(`Cannot spell ${number}: larger than the largest scale word`);
+        }
+
+        const count = Math.floor(number / scale.value);
+        const rest = number % scale.value;
+
+        let head;
+        if (ordinal && rest === 0) {
+            head = scale.ordinal;
+        } else {
+            head = count === 1 || !scale.plural ? scale.singular : scale.plural;
+        }
+        if (count > 1) {
+            head = `${this.spell(count, false)} ${head}`;
+        } else if (scale.article && !(ordinal && rest === 0)) {
+            head = `${scale.article} ${head}`;
+        }
+
+        if (rest === 0) return head;
+
+        // "og" joins a scale word to a remainder below hundred
+        const joiner = rest < 100 ? ` ${this.conjunction} ` : ' ';
+        return head + joiner + this.spell(rest, ordinal);
+    }
+
+    spellBelowHundred(number, ordinal) {
+        const words = ordinal ? this.ordinals : this.cardinals;
+        if (words.has(number)) {
+            return words.get(number);
+        }
+
+        const unit = number % 10;
+        return this.cardinals.get(number - unit) + words.get(unit);
+    }
+
+    /**
+     * Parse Nordum numeral words: "to hundre og femtitre" → { value: 253, ordinal: false, neuter: false }
+     *
+     * Fractions return { value, numerator, denominator, fraction: true }.
+     * Anything that is not a well-formed numeral gives null.
+     */
+    parse(text) {
+        if (!text || typeof text !== 'string') return null;
+
+        const tokens = text.toLowerCase().split(/[\s-]+/).filter(Boolean);
+        let sign = 1;
+        if (tokens[0] === this.data.minus) {
+            sign = -1;
+            tokens.shift();
+        }
+        if (tokens.length === 0) return null;
+
+        const denominator = this.parseFractionWord(tokens[tokens.length - 1]);
+        if (denominator) {
+            const numerator = tokens.length > 1 ? this.parseTokens(tokens.slice(0, -1)) : { value: 1 };
+            if (!numerator || numerator.ordinal) return null;
+
+            return {
+                value: sign * numerator.value / denominator,
+                numerator: sign * numerator.value,
+                denominator,
+                fraction: true
+            };
+        }
+
+        const result = this.parseTokens(tokens);
+        return result && { ...result, value: sign * result.value };
+    }
+
+    parseTokens(tokens) {
+        const morphemes = [];
+        for (const token of tokens) {
+            if (token === this.conjunction) {
+                morphemes.push({ type: 'conjunction' });
+                continue;
+            }
+
+            const segments = this.segment(token);
+            if (!segments) return null;
+
+            // Tens and units are written together, so "femti fem" is two numerals
+            if (morphemes.length > 0) segments[0] = { ...segments[0], spaced: true };
+            morphemes.push(...segments);
+        }
+
+        return this.evaluate(morphemes);
+    }
+
+    /**
+     * Split a written numeral into morphemes, longest first:
+     * "tjueførste" → tjue + første, "syvoghalvfems" → syv + og + halvfems.
+     * A letter written once for two is shared: "ettusen" → ett + tusen
+     */
+    segment(token, start = 0) {
+        if (start === token.length) return [];
+
+        for (let end = token.length; end > start; end--) {
+            const piece = token.slice(start, end);
+            const morpheme = piece === this.conjunction ? { type: 'conjunction' } : this.morphemes.get(piece);
+            if (!morpheme) continue;
+
+            const rest = this.segment(token, end);
+            if (rest) return [morpheme, ...rest];
+
+            const shared = piece.length > 1 && piece[piece.length - 1] === piece[piece.length - 2] && end < token.length
+                ? this.segment(token, end - 1)
+                : null;
+            if (shared) return [morpheme, ...shared];
+        }
+
+        return null;
+    }
+
+    /**
+     * Combine morphemes, rejecting sequences such as "to tre" or "to og tre"
+     * (the latter is only valid where units come before tens, as in Danish)
+     */
+    evaluate(morphemes) {
+        if (morphemes.length === 0) return null;
+
+        let total = 0;           // Sum of completed thousand-or-larger groups
+        let group = 0;           // Hundreds below the current large scale
+        let sub = 0;             // Value below hundred
+        let state = 'empty';     // empty → tens → unit, or unit → linked → tens with unitsBeforeTens
+        let lastScale = Infinity;
+        let hundred = false;
+        let previous = null;
+
+        for (let i = 0; i < morphemes.length; i++) {
+            const morpheme = morphemes[i];
+            if (morpheme.ordinal && i !== morphemes.length - 1) return null;
+
+            switch (morpheme.type) {
+                case 'conjunction': {
+                    const next = morphemes[i + 1];
+                    if (!previous || !next) return null;
+                    if (previous.type === 'scale') break;
+
+                    // fem og tyve: a unit linked to the tens that follow it
+                    if (!this.unitsBeforeTens || previous.type !== 'unit' || state !== 'unit' || next.type !== 'tens') return null;
+                    state = 'linked';
+                    break;
+                }
+
+                case 'tens':
+                    if (state === 'linked') {
+                        sub += morpheme.value;
+                        state = 'unit';
+                        break;
+                    }
+                    if (state !== 'empty') return null;
+                    sub = morpheme.value;
+                    state = 'tens';
+                    break;
+
+                case 'unit':
+                    if (state === 'unit' || (morpheme.value === 0 && morphemes.length > 1)) return null;
+                    if (state === 'tens' && morpheme.spaced) return null;
+                    sub += morpheme.value;
+                    state = 'unit';
+                    break;
+
+                case 'teen':
+                    if (state !== 'empty') return null;
+                    sub = morpheme.value;
+                    state = 'unit';
+                    break;
+
+                case 'scale': {
+                    const count = state === 'empty' ? 1 : sub;
+                    if (morpheme.value === 100) {
+                        if (hundred) return null;
+                        group += count * 100;
+                        hundred = true;
+                    } else {
+                        const multiplier = group + (state === 'empty' && group > 0 ? 0 : count);
+                        if (multiplier >= 1000 || morpheme.value >= lastScale) return null;
+                        total += multiplier * morpheme.value;
+                        group = 0;
+                        hundred = false;
+                        lastScale = morpheme.value;
+                    }
+                    sub = 0;
+                    state = 'empty';
+                    break;
+                }
+            }
+
+            previous = morpheme;
+        }
+
+        const last = morphemes[morphemes.length - 1];
+        return {
+            value: total + group + sub,
+            ordinal: Boolean(last.ordinal),
+            neuter: morphemes.length === 1 && Boolean(last.neuter)
+        };
+    }
+
+    // Denominator named by a fraction word: halv → 2, tredjedel(ar) → 3, hundredel → 100
+    parseFractionWord(token) {
+        const words = this.fractions.words || {};
+        for (const [denominator, word] of Object.entries(words)) {
+            if (token === word) return Number(denominator);
+        }
+
+        const variants = (this.data.variants || {}).fractionSuffixes || [];
+        for (const suffix of [this.fractions.pluralSuffix, ...variants, this.fractions.suffix]) {
+            if (!suffix || !token.endsWith(suffix) || token.length === suffix.length) continue;
+
+            const stem = token.slice(0, -suffix.length);
+            const scale = this.scales.find(({ singular }) => singular === stem);
+            if (scale) return scale.value;
+
+            const ordinal = this.parseTokens([stem]);
+            if (ordinal && ordinal.ordinal && ordinal.value >= 3) return ordinal.value;
+        }
+
+        return null;
+    }
+
+    /**
+     * Whether a single word is a Nordum numeral (or "og" inside a numeral)
+     */
+    isNumeralWord(word) {
+        const token = word.toLowerCase();
+        return token === this.conjunction || Boolean(this.parseTokens([token])) || Boolean(this.parseFractionWord(token));
+    }
+
+    /**
+     * Single-word cardinals by English name: "fifty" → "femti", "million" → "million"
+     */
+    englishCardinals() {
+        const names = new Map();
+        for (const [value, english] of Object.entries(this.data.english.cardinals)) {
+            const number = Number(value);
+            const scale = this.scales.find(({ value: scaleValue }) => scaleValue === number);
+            names.set(scale ? scale.singular : this.cardinal(number), english);
+        }
+        return names;
+    }
+
+    /**
+     * Dictionary entries for every single-word cardinal, ordinal and fraction
+     */
+    dictionaryEntries() {
+        const english = this.data.english;
+        const entries = [];
+
+        for (const [nordum, name] of this.englishCardinals()) {
+            entries.push({ nordum, english: name, kind: 'cardinal' });
+        }
+
+        for (const [value, name] of Object.entries(english.ordinals)) {
+            const number = Number(value);
+            const scale = this.scales.find(({ value: scaleValue }) => scaleValue === number);
+            entries.push({ nordum: scale ? scale.ordinal : this.ordinal(number), english: name, kind: 'ordinal' });
+        }
+
+        for (const [value, name] of Object.entries(english.ordinals)) {
+            const denominator = Number(value);
+            if (denominator < 2 || denominator > 10 && denominator < 100) continue;
+
+            const fraction = this.fraction(1, denominator).split(' ').pop();
+            const gloss = (english.fractions || {})[value] || `${name} (fraction)`;
+            entries.push({ nordum: fraction, english: gloss, kind: 'fraction' });
+        }
+
+        return entries;
+    }
+}
+
+module.exports = NordumNumerals;
@@ -0,0 +1,206 @@
+const defaultCorrespondences = require('../../../data/rules/sound-correspondences.json');
+
+/**
+ * Nordum Phonological Distance
+ *
+ * A weighted edit distance between Scandinavian spellings. Known sound
+ * correspondences from data/rules/sound-correspondences.json (Danish lenition
+ * k/g, p/b, t/d; aa/å; hv/v; ks/x) cost less than arbitrary substitutions,
+ * and letters of the same class (two vowels, two stops) less than unrelated
+ * ones. `learn()` lowers the costs of correspondences that the aligned source
+ * data shows to be systematic, so the dictionary build and the spellchecker
+ * share the costs the build learned.
+ */
+class PhonologicalDistance {
+    constructor(data = defaultCorrespondences) {
+        this.costs = { substitution: 1, insertion: 1, vowel: 0.6, sameClass: 0.8, ...(data.costs || {}) };
+        this.learning = { minSimilarity: 0.5, minCount: 5, minCost: 0.1, ...(data.learning || {}) };
+        this.equivalences = Object.entries(data.equivalences || {});
+
+        this.classes = new Map();
+        for (const [name, letters] of Object.entries(data.classes || {})) {
+            for (const letter of letters) this.classes.set(letter, name);
+        }
+
+        this.correspondences = data.correspondences || [];
+        this.substitutions = new Map();
+        this.segments = [];  // Correspondences spanning more than one letter
+        for (const { a, b, cost } of data.correspondences || []) {
+            this.setSubstitution(a, b, cost);
+        }
+
+        this.insertions = new Map(Object.entries(data.insertions || {}));
+    }
+
+    normalize(word) {
+        let normalized = (word || '').toLowerCase();
+        for (const [alternative, primary] of this.equivalences) {
+            normalized = normalized.split(alternative).join(primary);
+        }
+        return normalized.replace(/[^\p{L}]/gu, '');
+    }
+
+    key(a, b) {
+        return a < b ? `${a}|${b}` : `${b}|${a}`;
+    }
+
+    setSubstitution(a, b, cost) {
+        this.substitutions.set(this.key(a, b), cost);
+        if (a.length === 1 && b.length === 1) return;
+
+        this.segments = this.segments.filter(segment => this.key(segment.a, segment.b) !== this.key(a, b));
+        this.segments.push({ a, b, cost }, { a: b, b: a, cost });
+    }
+
+    /**
+     * Cost of replacing one letter or letter group by another
+     */
+    substitutionCost(a, b) {
+        if (a === b) return 0;
+
+        const known = this.substitutions.get(this.key(a, b));
+        if (known !== undefined) return known;
+        if (a.length > 1 || b.length > 1) return this.costs.substitution * Math.max(a.length, b.length);
+
+        const classA = this.classes.get(a);
+        if (!classA || classA !== this.classes.get(b)) return this.costs.substitution;
+        return classA === 'vowel' ? this.costs.vowel : this.costs.sameClass;
+    }
+
+    /**
+     * Cost of inserting or deleting a letter (Danish final -e, silent h and d)
+     */
+    insertionCost(letter) {
+        const known = this.insertions.get(letter);
+        return known !== undefined ? known : this.costs.insertion;
+    }
+
+    /**
+     * Weighted edit distance with its cheapest alignment as [{ a, b, cost }]
+     */
+    compute(first, second) {
+        const a = this.normalize(first);
+        const b = this.normalize(second);
+        const matrix = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(Infinity));
+        const steps = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(null));
+        matrix[0][0] = 0;
+
+        const relax = (i, j, from, to, cost) => {
+            const total = matrix[from[0]][from[1]] + cost;
+            if (total < matrix[i][j]) {
+                matrix[i][j] = total;
+                steps[i][j] = { from, a: to[0], b: to[1], cost };
+            }
+        };
+
+        for (let i = 0; i <= a.length; i++) {
+            for (let j = 0; j <= b.length; j++) {
+                if (i > 0) relax(i, j, [i - 1, j], [a[i - 1], ''], this.insertionCost(a[i - 1]));
+                if (j > 0) relax(i, j, [i, j - 1], ['', b[j - 1]], this.insertionCost(b[j - 1]));
+                if (i > 0 && j > 0) {
+                    relax(i, j, [i - 1, j - 1], [a[i - 1], b[j - 1]], this.substitutionCost(a[i - 1], b[j - 1]));
+                }
+
+                for (const segment of this.segments) {
+                    const fromI = i - segment.a.length;
+                    const fromJ = j - segment.b.length;
+                    if (fromI < 0 || fromJ < 0) continue;
+                    if (a.slice(fromI, i) !== segment.a || b.slice(fromJ, j) !== segment.b) continue;
+                    relax(i, j, [fromI, fromJ], [segment.a, segment.b], segment.cost);
+                }
+            }
+        }
+
+        const alignment = [];
+        for (let i = a.length, j = b.length; i > 0 || j > 0;) {
+            const step = steps[i][j];
+            alignment.unshift({ a: step.a, b: step.b, cost: step.cost });
+            [i, j] = step.from;
+        }
+
+        return { distance: matrix[a.length][b.length], length: Math.max(a.length, b.length), alignment };
+    }
+
+    distance(a, b) {
+        return this.compute(a, b).distance;
+    }
+
+    /**
+     * Similarity between 0 and 1, e.g. bok/bog → 0.9
+     */
+    similarity(a, b) {
+        const { distance, length } = this.compute(a, b);
+        return length > 0 ? Math.max(0, 1 - distance / length) : 1;
+    }
+
+    /**
+     * Learn correspondence costs from word pairs of the same concept
+     *
+     * Each pair of likely cognates is aligned with the current costs. A
+     * correspondence seen at least `minCount` times becomes cheaper in
+     * proportion to how often its letters take part in it: if Danish g stands
+     * for Norwegian k in most alignments of either letter, k/g costs little.
+     * The costs are applied and returned in the format `load()` accepts.
+     */
+    learn(pairs) {
+        const counts = new Map();
+        const occurrences = new Map();
+        const count = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+        let used = 0;
+
+        for (const [first, second] of pairs) {
+            const { distance, length, alignment } = this.compute(first, second);
+            if (length === 0 || 1 - distance / length < this.learning.minSimilarity) continue;
+            used++;
+
+            for (const step of alignment) {
+                if (step.a) count(occurrences, step.a);
+                if (step.b && step.b !== step.a) count(occurrences, step.b);
+                if (step.a !== step.b) count(counts, this.key(step.a, step.b));
+            }
+        }
+
+        const substitutions = [];
+        const insertions = [];
+        for (const [key, seen] of counts) {
+            if (seen < this.learning.minCount) continue;
+
+            const [a, b] = key.split('|');
+            const letters = [a, b].filter(Boolean);
+            const rate = seen / Math.min(...letters.map(letter => occurrences.get(letter)));
+            const prior = a && b ? this.substitutionCost(a, b) : this.insertionCost(a || b);
+            const cost = Math.round(Math.max(this.learning.minCost, prior * (1 - rate)) * 1000) / 1000;
+            if (cost >= prior) continue;
+
+            if (a && b) {
+                substitutions.push({ a, b, cost, count: seen });
+            } else {
+                insertions.push({ letter: a || b, cost, count: seen });
+            }
+        }
+
+        const learned = {
+            pairs: used,
+            substitutions: substitutions.sort((x, y) => y.count - x.count),
+            insertions: insertions.sort((x, y) => y.count - x.count)
+        };
+        this.load(learned);
+        return learned;
+    }
+
+    /**
+     * Apply costs returned by `learn()`, e.g. from dictionary.json
+     */
+    load(learned) {
+        if (!learned) return;
+
+        for (const { a, b, cost } of learned.substitutions || []) {
+            this.setSubstitution(a, b, cost);
+        }
+        for (const { letter, cost } of learned.insertions || []) {
+            this.insertions.set(letter, cost);
+        }
+    }
+}
+
+module.exports = PhonologicalDistance;
@@ -0,0 +1,122 @@
+const defaultTables = require('../../../data/rules/phonology.json');
+
+/**
+ * Nordum Grapheme-to-Phoneme Engine
+ *
+ * Derives a phonemic IPA transcription for any Nordum word from the tables in
+ * data/rules/phonology.json. Alternative spellings (ä/ö, aa/ae/oe) are
+ * normalized first, so equivalent spellings share one pronunciation. Stress
+ * falls on the first syllable; its vowel is long before a single consonant
+ * and short before two, and unstressed e is reduced to [ə].
+ */
+class NordumG2P {
+    constructor(tables = defaultTables) {
+        this.tables = tables;
+        this.equivalences = Object.entries(tables.equivalences || {})
+            .sort((a, b) => b[0].length - a[0].length);
+        this.softC = tables.softC || null;
+
+        // Longest graphemes first, so skj wins over sj and s
+        const graphemes = [];
+        const add = (table, vowel, initial = false) => {
+            for (const [grapheme, ipa] of Object.entries(table || {})) {
+                graphemes.push({ grapheme, ipa, vowel, initial });
+            }
+        };
+        add(tables.diphthongs, true);
+        add(tables.vowels, true);
+        add(tables.initialCombinations, false, true);
+        add(tables.combinations, false);
+        add(tables.consonants, false);
+        this.graphemes = graphemes.sort((a, b) => b.grapheme.length - a.grapheme.length);
+    }
+
+    /**
+     * Map alternative spellings onto the primary vowel system (§3.1, §3.2.2)
+     */
+    normalize(word) {
+        let normalized = word.toLowerCase();
+        for (const [alternative, primary] of this.equivalences) {
+            normalized = normalized.split(alternative).join(primary);
+        }
+        return normalized;
+    }
+
+    /**
+     * Split a normalized word into graphemes with their phonemes
+     */
+    segment(word) {
+        const segments = [];
+        let position = 0;
+
+        while (position < word.length) {
+            // Silent g, h and l only before j at the start of a word (gjøre, hjem), not in compounds such as tolljakt
+            const match = this.graphemes.find(({ grapheme, initial }) =>
+                (!initial || position === 0) && word.startsWith(grapheme, position));
+            if (!match) {
+                position++;  // Hyphens, apostrophes and foreign letters are not pronounced
+                continue;
+            }
+
+            let ipa = match.ipa;
+            const next = word[position + match.grapheme.length];
+            if (match.grapheme === 'c' && this.softC && next && this.softC.before.includes(next)) {
+                ipa = this.softC.ipa;
+            }
+
+            segments.push({ grapheme: match.grapheme, ipa, vowel: match.vowel });
+            position += match.grapheme.length;
+        }
+
+        return segments;
+    }
+
+    /**
+     * Transcribe a word, e.g. arbeider → ˈarbæɪdər
+     */
+    transcribe(word) {
+        if (!word || typeof word !== 'string') return null;
+
+        const segments = this.segment(this.normalize(word));
+        const nuclei = segments.filter(segment => segment.vowel);
+        if (segments.length === 0) return null;
+
+        let ipa = '';
+        let syllable = 0;
+
+        for (let i = 0; i < segments.length; i++) {
+            const segment = segments[i];
+
+            if (!segment.vowel) {
+                // A doubled consonant is written twice but pronounced once
+                if (segments[i + 1] && segments[i + 1].grapheme === segment.grapheme) continue;
+                ipa += segment.ipa;
+                continue;
+            }
+
+            syllable++;
+            if (syllable === 1) {
+                ipa += this.isLong(segments, i) ? `${segment.ipa}ː` : segment.ipa;
+            } else {
+                ipa += segment.grapheme === 'e' ? this.tables.unstressedE : segment.ipa;
+            }
+        }
+
+        return nuclei.length > 1 ? `ˈ${ipa}` : ipa;
+    }
+
+    // A stressed monophthong is long before at most one consonant (bil, hus), short before more (katt, hest)
+    isLong(segments, index) {
+        const segment = segments[index];
+        if (segment.ipa.length > 1) return false;  // Diphthongs and å, which is long already
+
+        let consonants = 0;
+        for (let i = index + 1; i < segments.length && !segments[i].vowel; i++) {
+            // ŋ closes the syllable like a double consonant (ring, sang)
+            consonants += segments[i].ipa === 'ŋ' ? 2 : segments[i].ipa.length;
+        }
+        return consonants <= 1;
+    }
+}
+
+module.exports = NordumG2P;
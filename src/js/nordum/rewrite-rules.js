@@ -0,0 +1,135 @@
+const defaultRules = require('../../../data/rules/nordum-rules.json');
+
+/**
+ * Nordum Rewrite Rules
+ *
+ * Compiles the declarative rules file (data/rules/nordum-rules.json) into
+ * ordered, context-sensitive rewrite rules. Environments use the familiar
+ * "left_right" notation:
+ *
+ *   #_     word-initial          _#     word-final
+ *   _F     before a front vowel  V_V    between vowels
+ *
+ * Upper-case letters refer to the character classes declared in the file,
+ * "#" marks the word boundary and anything else matches literally. Rules may
+ * be restricted to parts of speech with a "pos" list, and to words of at
+ * least "minSyllables" vowel groups (so -ar → -er leaves har and var alone).
+ */
+class RewriteRuleSet {
+    constructor(ruleData = defaultRules) {
+        this.data = ruleData;
+        this.classes = ruleData.classes || {};
+
+        // Whole-word exceptions, keyed by source word
+        this.lexicon = new Map();
+        for (const entry of ruleData.lexicon || []) {
+            const key = entry.word.toLowerCase();
+            if (!this.lexicon.has(key)) {
+                this.lexicon.set(key, []);
+            }
+            this.lexicon.get(key).push(entry);
+        }
+
+        this.rules = (ruleData.rules || []).map(rule => this.compileRule(rule));
+    }
+
+    /**
+     * Compile a rule's environment into a regular expression
+     */
+    compileRule(rule) {
+        const env = rule.env || '_';
+        const separator = env.indexOf('_');
+
+        if (separator === -1) {
+            throw new Error(`Invalid environment "${env}" in rule ${rule.id}: missing "_"`);
+        }
+
+        const left = this.compileContext(env.slice(0, separator), '^', rule.id);
+        const right = this.compileContext(env.slice(separator + 1), '$', rule.id);
+
+        // The left context is captured and written back; the right context is a lookahead
+        return {
+            ...rule,
+            regex: new RegExp(`(${left})${this.escape(rule.from)}(?=${right})`, 'g')
+        };
+    }
+
+    compileContext(context, boundary, ruleId) {
+        let pattern = '';
+
+        for (const symbol of context) {
+            if (symbol === '#') {
+                pattern += boundary;
+            } else if (/[A-Z]/.test(symbol)) {
+                if (!this.classes[symbol]) {
+                    throw new Error(`Unknown character class "${symbol}" in rule ${ruleId}`);
+                }
+                pattern += `[${this.escape(this.classes[symbol])}]`;
+            } else {
+                pattern += this.escape(symbol);
+            }
+        }
+
+        return pattern;
+    }
+
+    escape(text) {
+        return text.replace(/[.*+?^${}()|[\]\\-]/g, '\\$&');
+    }
+
+    /**
+     * Find a whole-word exception for a word
+     */
+    lookup(word, options = {}) {
+        const entries = this.lexicon.get(word.toLowerCase()) || [];
+
+        return entries.find(entry =>
+            this.isApplicable(entry, options)
+        ) || null;
+    }
+
+    isApplicable(ruleOrEntry, { pos, groups } = {}) {
+        if (groups && !groups.includes(ruleOrEntry.group)) return false;
+        if (ruleOrEntry.pos && !ruleOrEntry.pos.includes(pos)) return false;
+        return true;
+    }
+
+    /**
+     * Rewrite a word, returning the result together with the ids of the rules that fired
+     */
+    applyWithTrace(word, options = {}) {
+        const exception = this.lookup(word, options);
+        if (exception) {
+            return { word: exception.nordum, applied: [`lexicon:${exception.word}`] };
+        }
+
+        let result = word;
+        const applied = [];
+
+        for (const rule of this.rules) {
+            if (!this.isApplicable(rule, options)) continue;
+            if (rule.minSyllables && this.countSyllables(result) < rule.minSyllables) continue;
+
+            const rewritten = result.replace(rule.regex, (match, left) => left + rule.to);
+            if (rewritten !== result) {
+                applied.push(rule.id);
+                result = rewritten;
+            }
+        }
+
+        return { word: result, applied };
+    }
+
+    // Vowel groups of a word, by the V class of the rules file (arbeider → 3)
+    countSyllables(word) {
+        const vowels = this.classes.V;
+        if (!vowels) return 1;
+        return (word.match(new RegExp(`[${this.escape(vowels)}]+`, 'g')) || []).length;
+    }
+
+    apply(word, options = {}) {
+        return this.applyWithTrace(word, options).word;
+    }
+}
+
+module.exports = RewriteRuleSet;